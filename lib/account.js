@@ -0,0 +1,380 @@
+'use strict';
+
+const GroheApi = require('./api');
+const GroheTokenManager = require('./tokens');
+const GroheHistory = require('./history');
+const { GroheWaterMeter } = require('./meter');
+const GroheNotifications = require('./notifications');
+const GroheSettings = require('./settings');
+const GroheCommandQueue = require('./commands');
+const GrohePollScheduler = require('./scheduler');
+
+/** Account from the top-level credentials; its objects stay at the instance root */
+const MAIN_ACCOUNT = 'main';
+
+/** Columns of the `accounts` table that admin stores encrypted (`encryptedAttributes`) */
+const ACCOUNT_SECRETS = ['password', 'totpSecret'];
+
+/** Prefix of values encrypted with the system secret */
+const ENCRYPTED_PREFIX = '$/aes-192-cbc:';
+
+/**
+ * @typedef {object} AccountConfig
+ * @property {string} id - account id, object ID below `accounts` for additional accounts
+ * @property {string} name - display name
+ * @property {string} email - Grohe login
+ * @property {string} password - Grohe password
+ * @property {string} totpSecret - base32 TOTP secret for 2FA
+ * @property {string} refreshToken - refresh token of the previous run
+ */
+
+/**
+ * Info states every account gets in its `info` channel, names are translation keys
+ *
+ * @type {Record<string, Record<string, any>>}
+ */
+const INFO_STATES = {
+	tokenValid: { name: 'Token valid', type: 'boolean', role: 'indicator.working', write: false },
+	tokenError: { name: 'Token error', type: 'string', role: 'text', write: false },
+	loginStep: { name: 'Login step', type: 'string', role: 'text', write: false },
+	otpRequired: { name: 'One-time code (2FA) required', type: 'boolean', role: 'indicator', write: false },
+	otpCode: { name: 'Enter one-time code (2FA)', type: 'string', role: 'text', write: true },
+	apiCalls: { name: 'API calls since start', type: 'number', role: 'value', write: false },
+	lastError: { name: 'Last API error', type: 'string', role: 'text', write: false },
+	backoffUntil: { name: 'API paused until', type: 'number', role: 'value.time', write: false },
+};
+
+/**
+ * @param {string} email - Grohe login of an `accounts` table entry
+ * @param {RegExp} forbidden - characters not allowed in object IDs
+ * @returns {string} account id
+ */
+function accountIdFor(email, forbidden) {
+	return String(email || '')
+		.trim()
+		.toLowerCase()
+		.replace(forbidden, '_')
+		.replace(/[\s.@]+/g, '_');
+}
+
+/**
+ * Decrypt passwords and 2FA secrets of the `accounts` table. Rows saved by older versions
+ * still hold them in plain text; they are taken as they are and reported.
+ *
+ * @param {Record<string, any>[]} rows - table rows of the instance config
+ * @param {(value: string) => string} decrypt - decryption with the system secret
+ * @returns {{ rows: Record<string, any>[], plain: boolean }} rows with readable secrets, plain = some were not encrypted
+ */
+function decryptAccountRows(rows, decrypt) {
+	let plain = false;
+	const out = rows.map(row => {
+		const copy = { ...row };
+		for (const key of ACCOUNT_SECRETS) {
+			const v = String(row?.[key] || '');
+			if (v.startsWith(ENCRYPTED_PREFIX)) {
+				copy[key] = decrypt(v);
+			} else if (v) {
+				plain = true;
+			}
+		}
+		return copy;
+	});
+	return { rows: out, plain };
+}
+
+/**
+ * @param {Record<string, any>[]} rows - table rows with readable secrets
+ * @param {(value: string) => string} encrypt - encryption with the system secret
+ * @returns {Record<string, any>[]} rows for the instance config
+ */
+function encryptAccountRows(rows, encrypt) {
+	return rows.map(row => {
+		const copy = { ...row };
+		for (const key of ACCOUNT_SECRETS) {
+			if (row?.[key]) {
+				copy[key] = encrypt(String(row[key]));
+			}
+		}
+		return copy;
+	});
+}
+
+/**
+ * Accounts to run: the top-level credentials (objects at the root, as before) plus the
+ * enabled entries of the `accounts` table. The id of a table entry is derived from its
+ * e-mail so renaming the entry keeps the objects.
+ *
+ * @param {Record<string, any>} config - adapter config
+ * @param {RegExp} forbidden - characters not allowed in object IDs
+ * @param {(id: string) => string} [storedToken] - refresh token of an account from the token store
+ * @returns {AccountConfig[]} accounts
+ */
+function accountsFromConfig(config, forbidden, storedToken = () => '') {
+	const clean = v => String(v || '').replace(/\s+/g, '');
+
+	/** @type {AccountConfig[]} */
+	const extra = [];
+	const taken = new Set([MAIN_ACCOUNT]);
+	for (const row of Array.isArray(config.accounts) ? config.accounts : []) {
+		const email = String(row?.email || '').trim();
+		if (!email || row.enabled === false) {
+			continue;
+		}
+		const id = accountIdFor(email, forbidden);
+		if (taken.has(id)) {
+			continue;
+		}
+		taken.add(id);
+		extra.push({
+			id,
+			name: String(row.name || '').trim() || email,
+			email,
+			password: String(row.password || ''),
+			totpSecret: String(row.totpSecret || ''),
+			refreshToken: storedToken(id) || clean(row.refreshToken),
+		});
+	}
+
+	const main = {
+		id: MAIN_ACCOUNT,
+		name: 'Grohe',
+		email: String(config.email || '').trim(),
+		password: String(config.password || ''),
+		totpSecret: String(config.totpSecret || ''),
+		refreshToken: storedToken(MAIN_ACCOUNT) || clean(config.refreshToken),
+	};
+	// without a table the main account always runs, so missing credentials are reported
+	return !extra.length || main.email || main.refreshToken ? [main, ...extra] : extra;
+}
+
+/**
+ * One Grohe account: its own API client, token lifecycle, polling and info states.
+ * Objects of the main account stay at the instance root, others live below `accounts.<id>`.
+ */
+class GroheAccount {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {AccountConfig} cfg - account configuration
+	 */
+	constructor(adapter, cfg) {
+		this.adapter = adapter;
+		this.id = cfg.id;
+		this.name = cfg.name;
+		this.cfg = cfg;
+
+		/** object ID prefix, '' for the main account */
+		this.prefix = cfg.id === MAIN_ACCOUNT ? '' : `accounts.${cfg.id}`;
+
+		/** @type {GroheApi|null} */
+		this.api = null;
+		/** @type {GroheTokenManager|null} */
+		this.tokens = null;
+		/** @type {GroheSettings|null} */
+		this.settings = null;
+		/** @type {GroheCommandQueue|null} */
+		this.commands = null;
+		/** @type {GroheNotifications|null} */
+		this.notifications = null;
+		/** @type {GroheHistory|null} */
+		this.history = null;
+		/** @type {GroheWaterMeter|null} */
+		this.meter = null;
+		/** @type {GrohePollScheduler|null} */
+		this.scheduler = null;
+
+		/** @type {NodeJS.Timeout|null} */
+		this.pollTimer = null;
+
+		/** @type {NodeJS.Timeout|null} */
+		this.startTimer = null;
+		/** failed starts in a row, for the retry backoff */
+		this.startFailures = 0;
+
+		this.connected = false;
+
+		/**
+		 * `<kind>:<groheId>` → object ID, so renamed locations/rooms/appliances keep their objects
+		 *
+		 * @type {Map<string, string>}
+		 */
+		this.idMap = new Map();
+
+		/** @type {Map<string, import('./appliances').ApplianceRef>} */
+		this.appliances = new Map();
+
+		/**
+		 * appliance_id → next read of the pressure measurements, and until when every poll reads
+		 * them because a measurement was started
+		 *
+		 * @type {Map<string, { next: number, watchUntil: number }>}
+		 */
+		this.pressureReads = new Map();
+	}
+
+	/**
+	 * @param {string} id - object ID relative to the account
+	 * @returns {string} object ID below the namespace
+	 */
+	oid(id) {
+		return this.prefix ? `${this.prefix}.${id}` : id;
+	}
+
+	/**
+	 * @param {Record<string, any>} obj - object from the cache
+	 * @returns {boolean} true if the object was created for this account
+	 */
+	owns(obj) {
+		return (obj.native?.account || MAIN_ACCOUNT) === this.id;
+	}
+
+	/**
+	 * Create the account folder and info states and reset them for a new start.
+	 */
+	async initInfo() {
+		if (this.prefix) {
+			await this.adapter.syncObject('accounts', 'folder', this.adapter.tName('Grohe accounts'), {});
+			await this.adapter.syncObject(this.prefix, 'folder', this.name, { kind: 'account', account: this.id });
+			await this.adapter.ensureChannel(this.oid('info'), this.adapter.tName('Information'));
+			await this.adapter.ensureState(this.oid('info.connection'), {
+				name: this.adapter.tName('Connected to Grohe'),
+				type: 'boolean',
+				role: 'indicator.connected',
+				read: true,
+				write: false,
+			});
+		}
+		for (const [key, common] of Object.entries(INFO_STATES)) {
+			await this.adapter.ensureState(this.oid(`info.${key}`), {
+				...common,
+				name: this.adapter.tName(common.name),
+				read: true,
+			});
+		}
+
+		await this.adapter.writeState(this.oid('info.tokenValid'), { val: false, ack: true });
+		await this.adapter.writeState(this.oid('info.tokenError'), { val: '', ack: true });
+		await this.adapter.writeState(this.oid('info.loginStep'), { val: '', ack: true });
+		await this.adapter.writeState(this.oid('info.apiCalls'), { val: 0, ack: true });
+		await this.adapter.writeState(this.oid('info.backoffUntil'), { val: 0, ack: true });
+	}
+
+	/**
+	 * Log in (saved refresh token or web login) and set up the per-account helpers.
+	 *
+	 * @returns {Promise<'refresh'|'web_login'>} how the session was obtained
+	 */
+	async start() {
+		const config = this.adapter.config;
+		const infoPrefix = this.oid('info');
+
+		this.api = new GroheApi(this.adapter, {
+			maxRequestsPerMinute: config.maxRequestsPerMinute,
+			baseUrl: config.apiBaseUrl,
+			infoPrefix,
+		});
+		this.tokens = new GroheTokenManager(this.adapter, this.api, {
+			email: this.cfg.email,
+			password: this.cfg.password,
+			totpSecret: this.cfg.totpSecret,
+			debug: !!config.debugLogin,
+			account: this.id,
+			infoPrefix,
+		});
+		// the code for a paused 2FA login arrives before the other subscriptions exist
+		this.adapter.subscribeStates(this.oid('info.otpCode'));
+		const method = await this.tokens.init(this.cfg.refreshToken);
+
+		if (!config.keepPassword) {
+			// without keepPassword an expired refresh token cannot be healed by a new web login
+			this.tokens.dropCredentials();
+
+			// Option: clear password after success (safer)
+			if (method === 'web_login') {
+				await this.adapter.updateAccountConfig(this.id, { password: '' });
+				this.adapter.log.info(
+					this.adapter.t(
+						'%s: password removed from the config after the successful login (keepPassword=false).',
+						this.name,
+					),
+				);
+			}
+		}
+		await this.adapter.writeState(this.oid('info.loginStep'), { val: 'ready', ack: true });
+
+		this.settings = new GroheSettings(this.adapter, this.api);
+		this.commands = new GroheCommandQueue(this.adapter, this.api, {
+			timeoutMs: (Number(config.commandTimeout) || 30) * 1000,
+		});
+		this.notifications = new GroheNotifications(this.adapter, this.api, {
+			notify: config.notifyIobroker,
+			channel: this.oid('alarms'),
+		});
+		await this.notifications.init();
+
+		this.scheduler = new GrohePollScheduler(this.adapter, {
+			active: config.intervalActive,
+			idle: {
+				SENSE: config.intervalSense,
+				SENSE_GUARD: config.intervalGuard,
+				BLUE_HOME: config.intervalBlue,
+				BLUE_PRO: config.intervalBlue,
+			},
+		});
+
+		if (config.historyEnabled) {
+			this.history = new GroheHistory(this.adapter, this.api, { backfillDays: config.historyDays });
+		}
+		if (config.meterEnabled) {
+			this.meter = new GroheWaterMeter(this.adapter, this.api, {
+				source: config.meterSource,
+				waterPrice: config.waterPrice,
+				wastewaterPrice: config.wastewaterPrice,
+				baseFee: config.baseFee,
+			});
+		}
+		return method;
+	}
+
+	/**
+	 * @param {boolean} connected - dashboard reachable with the current token
+	 */
+	async setConnected(connected) {
+		this.connected = connected;
+		if (this.prefix) {
+			await this.adapter.writeState(this.oid('info.connection'), { val: connected, ack: true });
+		}
+	}
+
+	stop() {
+		if (this.startTimer) {
+			clearTimeout(this.startTimer);
+			this.startTimer = null;
+		}
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		if (this.scheduler) {
+			this.scheduler.stop();
+			this.scheduler = null;
+		}
+		if (this.commands) {
+			this.commands.stop();
+			this.commands = null;
+		}
+		if (this.tokens) {
+			this.tokens.stop();
+			this.tokens = null;
+		}
+		this.api = null;
+	}
+}
+
+module.exports = {
+	GroheAccount,
+	accountsFromConfig,
+	accountIdFor,
+	decryptAccountRows,
+	encryptAccountRows,
+	MAIN_ACCOUNT,
+};
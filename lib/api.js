@@ -2,20 +2,95 @@
 'use strict';
 
 const axios = require('axios');
+const { applianceTypeCode } = require('./appliances');
+
+/** HTTP status codes worth retrying */
+const RETRY_STATUS = [429, 500, 502, 503, 504];
+/** axios/node error codes of transient network failures */
+const RETRY_CODES = [
+	'ECONNABORTED',
+	'ETIMEDOUT',
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ENOTFOUND',
+	'EAI_AGAIN',
+	'ERR_NETWORK',
+];
+/** Longer waits are not slept inline, the request fails and the API stays blocked until then */
+const MAX_INLINE_WAIT_MS = 30 * 1000;
+const MAX_RETRIES = 3;
+/** Consecutive failed requests that open the circuit */
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 5 * 60 * 1000;
+const BREAKER_MAX_COOLDOWN_MS = 60 * 60 * 1000;
+/** Ondus IoT API of the Grohe cloud */
+const DEFAULT_BASE_URL = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {any} e - axios error
+ * @returns {number|null} delay in ms requested by a Retry-After header
+ */
+function retryAfterMs(e) {
+	const h = e?.response?.headers?.['retry-after'];
+	if (h === undefined || h === null || h === '') {
+		return null;
+	}
+	const secs = Number(h);
+	if (Number.isFinite(secs)) {
+		return Math.max(0, secs * 1000);
+	}
+	const date = Date.parse(String(h));
+	return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
 
 class GroheApi {
 	/**
-	 * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
+	 * @param {import('@iobroker/adapter-core').AdapterInstance & { writeState: Function, t: (key: string, ...args: any[]) => string }} adapter
+	 * @param {{ maxRequestsPerMinute?: number, baseUrl?: string, infoPrefix?: string }} [opts] - baseUrl: Ondus API base, e.g. of a local test server; infoPrefix: channel of the account's info states
 	 */
-	constructor(adapter) {
+	constructor(adapter, opts) {
 		this.adapter = adapter;
 		this.client = axios.create({ timeout: 15000 });
 
+		/** Global rate limit shared by polling, history, commands, ... */
+		this.maxRequestsPerMinute = Math.max(1, Number(opts?.maxRequestsPerMinute) || 60);
+		this.minSpacingMs = 250;
+
+		/** @type {number[]} start times of the requests within the last minute */
+		this.recent = [];
+
+		/** @type {Promise<void>} */
+		this.slotChain = Promise.resolve();
+
+		this.apiCalls = 0;
+		this.consecutiveFailures = 0;
+		this.breakerCooldownMs = BREAKER_COOLDOWN_MS;
+
+		/** requests fail fast until this time (circuit open / Retry-After) */
+		this.blockedUntil = 0;
+
+		/** channel for apiCalls/lastError/backoffUntil */
+		this.infoPrefix = opts?.infoPrefix || 'info';
+
+		/** Ondus IoT API base */
+		this.baseUrl = String(opts?.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
 		/** @type {string|null} */
 		this.accessToken = null;
 
 		/** @type {string|null} */
 		this.refreshToken = null;
+
+		/**
+		 * Optional renewal hook (token manager); falls back to a plain refresh()
+		 *
+		 * @type {(() => Promise<unknown>)|null}
+		 */
+		this.refreshHandler = null;
 	}
 
 	/**
@@ -38,7 +113,7 @@ class GroheApi {
 	async refresh() {
 		if (!this.refreshToken) {
 			/** @type {Error & { code?: string }} */
-			const err = new Error('Kein Refresh Token vorhanden');
+			const err = new Error(this.adapter.t('No refresh token available'));
 			err.code = 'NO_REFRESH_TOKEN';
 			throw err;
 		}
@@ -47,14 +122,14 @@ class GroheApi {
 
 		try {
 			const resp = await this.client.post(
-				'https://idp2-apigw.cloud.grohe.com/v3/iot/oidc/refresh',
+				`${this.baseUrl}/oidc/refresh`,
 				{ refresh_token: rt },
-				{ headers: { 'Content-Type': 'application/json' } }
+				{ headers: { 'Content-Type': 'application/json' } },
 			);
 
 			if (!resp.data?.access_token) {
 				/** @type {Error & { code?: string }} */
-				const err = new Error('Keine access_token Antwort erhalten');
+				const err = new Error(this.adapter.t('Response contains no access_token'));
 				err.code = 'TOKEN_RESPONSE_INVALID';
 				throw err;
 			}
@@ -70,43 +145,415 @@ class GroheApi {
 			const status = e?.response?.status;
 			const details = e?.response?.data ? JSON.stringify(e.response.data) : e.message;
 
-			this.adapter.log.warn(`Refresh failed (${status || 'no-status'}): ${details}`);
+			this.adapter.log.warn(this.adapter.t('Token refresh failed (%s): %s', status || 'no-status', details));
 
 			if (status === 400 || status === 401) {
 				/** @type {Error & { code?: string }} */
-				const err = new Error('Refresh Token ungültig oder abgelaufen');
+				const err = new Error(this.adapter.t('Refresh token invalid or expired'));
 				err.code = 'INVALID_REFRESH_TOKEN';
 				throw err;
 			}
 
 			/** @type {Error & { code?: string }} */
-			const err = new Error(`Token Refresh fehlgeschlagen: ${e.message}`);
+			const err = new Error(this.adapter.t('Token refresh failed: %s', e.message));
 			err.code = 'TOKEN_REFRESH_FAILED';
 			throw err;
 		}
 	}
 
+	async renew() {
+		if (this.refreshHandler) {
+			await this.refreshHandler();
+		} else {
+			await this.refresh();
+		}
+	}
+
+	/**
+	 * @returns {boolean} true while requests are blocked by the circuit breaker or a Retry-After
+	 */
+	isBlocked() {
+		return Date.now() < this.blockedUntil;
+	}
+
+	/**
+	 * Wait for a free slot of the global rate limit. Slots are handed out one after another.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	acquireSlot() {
+		const slot = this.slotChain.then(async () => {
+			for (;;) {
+				const now = Date.now();
+				this.recent = this.recent.filter(t => now - t < 60 * 1000);
+				const last = this.recent[this.recent.length - 1] || 0;
+				let wait = Math.max(0, last + this.minSpacingMs - now);
+				if (this.recent.length >= this.maxRequestsPerMinute) {
+					wait = Math.max(wait, this.recent[0] + 60 * 1000 - now);
+				}
+				if (wait <= 0) {
+					this.recent.push(now);
+					return;
+				}
+				await sleep(wait);
+			}
+		});
+		this.slotChain = slot.catch(() => undefined);
+		return slot;
+	}
+
 	/**
 	 * @param {import('axios').AxiosRequestConfig} config
 	 * @param {boolean} [retry=true]
 	 */
 	async request(config, retry = true) {
+		if (this.isBlocked()) {
+			/** @type {Error & { code?: string }} */
+			const err = new Error(
+				this.adapter.t(
+					'Grohe API paused until %s (backoff/circuit breaker)',
+					new Date(this.blockedUntil).toLocaleTimeString(),
+				),
+			);
+			err.code = 'API_BLOCKED';
+			throw err;
+		}
+
 		if (!this.accessToken) {
-			await this.refresh();
+			await this.renew();
 		}
 
-		config.headers = { ...(config.headers || {}), Authorization: `Bearer ${this.accessToken}` };
+		for (let attempt = 0; ; attempt++) {
+			await this.acquireSlot();
+			config.headers = { ...(config.headers || {}), Authorization: `Bearer ${this.accessToken}` };
 
-		try {
-			return await this.client.request(config);
-		} catch (e) {
-			if (e?.response?.status === 401 && retry) {
-				await this.refresh();
-				return this.request(config, false);
+			try {
+				this.apiCalls++;
+				await this._setInfo('apiCalls', this.apiCalls);
+				const resp = await this.client.request(config);
+				await this._onSuccess(attempt > 0);
+				return resp;
+			} catch (e) {
+				const status = e?.response?.status;
+				if (status === 401 && retry) {
+					await this.renew();
+					return this.request(config, false);
+				}
+
+				const transient = status ? RETRY_STATUS.includes(status) : RETRY_CODES.includes(e?.code);
+				const delay = retryAfterMs(e) ?? Math.min(MAX_INLINE_WAIT_MS, 1000 * 2 ** attempt);
+
+				if (!transient) {
+					// client errors (400/403/404 ...) say nothing about the health of the cloud
+					await this._setInfo('lastError', this._describe(e, config));
+					throw e;
+				}
+				if (attempt >= MAX_RETRIES || delay > MAX_INLINE_WAIT_MS) {
+					await this._onFailure(e, config, delay);
+					throw e;
+				}
+
+				this.adapter.log.debug(
+					`${config.method || 'GET'} ${config.url} → ${status || e?.code}, retrying in ${Math.round(delay / 1000)}s`,
+				);
+				await this._setInfo('backoffUntil', Date.now() + delay);
+				await sleep(delay);
 			}
-			throw e;
 		}
 	}
+
+	/**
+	 * @param {boolean} retried - the request needed inline retries
+	 */
+	async _onSuccess(retried) {
+		if (this.consecutiveFailures || this.blockedUntil) {
+			this.adapter.log.info(this.adapter.t('Grohe API reachable again'));
+		}
+		if (retried || this.consecutiveFailures || this.blockedUntil) {
+			await this._setInfo('backoffUntil', 0);
+		}
+		this.consecutiveFailures = 0;
+		this.breakerCooldownMs = BREAKER_COOLDOWN_MS;
+		this.blockedUntil = 0;
+	}
+
+	/**
+	 * @param {any} e - final error of a request
+	 * @param {import('axios').AxiosRequestConfig} config
+	 * @param {number} delay - wait requested by the server/backoff
+	 */
+	async _onFailure(e, config, delay) {
+		this.consecutiveFailures++;
+		await this._setInfo('lastError', this._describe(e, config));
+
+		let until = delay > MAX_INLINE_WAIT_MS ? Date.now() + delay : 0;
+		if (this.consecutiveFailures >= BREAKER_THRESHOLD) {
+			until = Math.max(until, Date.now() + this.breakerCooldownMs);
+			this.adapter.log.warn(
+				this.adapter.t(
+					'Grohe API: %s failures in a row, pausing for %s min',
+					this.consecutiveFailures,
+					Math.round(this.breakerCooldownMs / 60000),
+				),
+			);
+			// the next failure after the pause waits longer
+			this.breakerCooldownMs = Math.min(BREAKER_MAX_COOLDOWN_MS, this.breakerCooldownMs * 2);
+		}
+		if (until) {
+			this.blockedUntil = until;
+			await this._setInfo('backoffUntil', until);
+		}
+	}
+
+	/**
+	 * @param {any} e
+	 * @param {import('axios').AxiosRequestConfig} config
+	 * @returns {string}
+	 */
+	_describe(e, config) {
+		const status = e?.response?.status;
+		const path = String(config.url || '').replace(this.baseUrl, '');
+		return `${config.method || 'GET'} ${path}: ${status ? `HTTP ${status}` : e?.code || ''} ${e?.message || ''}`.trim();
+	}
+
+	/**
+	 * @param {string} key - state below the info channel
+	 * @param {ioBroker.StateValue} val
+	 */
+	async _setInfo(key, val) {
+		try {
+			await this.adapter.writeState(`${this.infoPrefix}.${key}`, { val, ack: true });
+		} catch {
+			// states are informational only
+		}
+	}
+
+	/**
+	 * Full location → room → appliance tree including data_latest of every appliance.
+	 *
+	 * @returns {Promise<{ locations?: any[] }>}
+	 */
+	async getDashboard() {
+		const resp = await this.request({ method: 'GET', url: `${this.baseUrl}/dashboard` });
+		return resp.data || {};
+	}
+
+	/**
+	 * Aggregated measurement/withdrawal series of one appliance.
+	 *
+	 * @param {{ locationId: string|number, roomId: string|number, applianceId: string }} ref
+	 * @param {'hour'|'day'|'week'|'month'|'year'} groupBy
+	 * @param {string} fromDate - YYYY-MM-DD
+	 * @param {string} toDate - YYYY-MM-DD
+	 * @returns {Promise<{ measurement?: any[], withdrawals?: any[] }>}
+	 */
+	async getAggregated(ref, groupBy, fromDate, toDate) {
+		const resp = await this.request({
+			method: 'GET',
+			url: this.applianceUrl(ref, 'data/aggregated'),
+			params: { from_date: fromDate, to_date: toDate, groupBy },
+		});
+		return resp.data?.data || resp.data || {};
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @returns {Promise<Record<string, any>>} appliance incl. config
+	 */
+	async getAppliance(ref) {
+		const resp = await this.request({ method: 'GET', url: this.applianceUrl(ref) });
+		return resp.data || {};
+	}
+
+	/**
+	 * Single appliance incl. data_latest, config and notifications (used for per-device polling).
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	async getApplianceDetails(ref) {
+		const resp = await this.request({ method: 'GET', url: this.applianceUrl(ref, 'details') });
+		return Array.isArray(resp.data) ? resp.data[0] || {} : resp.data || {};
+	}
+
+	/**
+	 * Write back a modified appliance config.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @param {Record<string, any>} appliance - appliance as returned by getAppliance()
+	 * @param {Record<string, any>} config - complete new config
+	 * @returns {Promise<Record<string, any>>} appliance as stored by the cloud
+	 */
+	async updateApplianceConfig(ref, appliance, config) {
+		const resp = await this.request({
+			method: 'PUT',
+			url: this.applianceUrl(ref),
+			data: {
+				appliance_id: ref.applianceId,
+				type: appliance.type ?? applianceTypeCode(ref.type),
+				name: appliance.name,
+				config,
+			},
+		});
+		return resp.data || {};
+	}
+
+	/**
+	 * Send a command object to an appliance (valve, tap, resets, ...).
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @param {Record<string, any>} command - e.g. { valve_open: true }
+	 */
+	async sendCommand(ref, command) {
+		const resp = await this.request({
+			method: 'POST',
+			url: this.applianceUrl(ref, 'command'),
+			data: { appliance_id: ref.applianceId, type: applianceTypeCode(ref.type), command },
+		});
+		return resp.data;
+	}
+
+	/**
+	 * Last command/actuator state reported by the appliance (e.g. valve_open of a Sense Guard).
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	async getCommand(ref) {
+		const resp = await this.request({ method: 'GET', url: this.applianceUrl(ref, 'command') });
+		return resp.data || {};
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @param {boolean} open
+	 */
+	async setValve(ref, open) {
+		return this.sendCommand(ref, { valve_open: !!open });
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @param {number} type - tap type (1 still, 2 medium, 3 carbonated)
+	 * @param {number} amountMl
+	 */
+	async dispense(ref, type, amountMl) {
+		return this.sendCommand(ref, { tap_type: type, tap_amount: amountMl });
+	}
+
+	/**
+	 * Reset the filter counter of a Grohe Blue after the filter was replaced.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 */
+	async resetFilter(ref) {
+		return this.sendCommand(ref, { filter_status_reset: true });
+	}
+
+	/**
+	 * Reset the CO₂ counter of a Grohe Blue after the cylinder was replaced.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 */
+	async resetCo2(ref) {
+		return this.sendCommand(ref, { co2_status_reset: true });
+	}
+
+	/**
+	 * Start the cleaning program of a Grohe Blue Pro.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 */
+	async startCleaning(ref) {
+		return this.sendCommand(ref, { clean_mode_start: true });
+	}
+
+	/**
+	 * Start a pipe pressure-drop (micro-leak) measurement on a Sense Guard.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 */
+	async startPressureMeasurement(ref) {
+		const resp = await this.request({
+			method: 'POST',
+			url: this.applianceUrl(ref, 'pressuremeasurement'),
+			data: {},
+		});
+		return resp.data;
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @returns {Promise<any[]>} measurements, newest first
+	 */
+	async getPressureMeasurements(ref) {
+		const resp = await this.request({ method: 'GET', url: this.applianceUrl(ref, 'pressuremeasurement') });
+		const items = Array.isArray(resp.data) ? resp.data : resp.data?.items || [];
+		return [...items].sort((a, b) => String(b.start_time || '').localeCompare(String(a.start_time || '')));
+	}
+
+	/**
+	 * Suspend leak protection of a Sense Guard.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref
+	 * @param {number} minutes
+	 * @returns {Promise<any>} response with snoozed_until
+	 */
+	async snooze(ref, minutes) {
+		const resp = await this.request({
+			method: 'PUT',
+			url: this.applianceUrl(ref, 'snooze'),
+			data: { snooze_duration: minutes },
+		});
+		return resp.data;
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref
+	 */
+	async unsnooze(ref) {
+		await this.request({ method: 'DELETE', url: this.applianceUrl(ref, 'snooze') });
+	}
+
+	/**
+	 * @param {{ locationId: string|number, roomId: string|number, applianceId: string }} ref
+	 * @returns {Promise<any[]>}
+	 */
+	async getNotifications(ref) {
+		const resp = await this.request({ method: 'GET', url: this.applianceUrl(ref, 'notifications') });
+		return Array.isArray(resp.data) ? resp.data : resp.data?.notifications || [];
+	}
+
+	/**
+	 * @param {{ locationId: string|number, roomId: string|number, applianceId: string }} ref
+	 * @param {string} id - notification id
+	 * @param {number} category - notification category
+	 */
+	async markNotificationRead(ref, id, category) {
+		await this.request({
+			method: 'PUT',
+			url: this.applianceUrl(ref, `notifications/${id}`),
+			data: { category, is_read: true },
+		});
+	}
+
+	/**
+	 * @param {{ locationId: string|number, roomId: string|number, applianceId: string }} ref
+	 * @param {string} id - notification id
+	 */
+	async deleteNotification(ref, id) {
+		await this.request({ method: 'DELETE', url: this.applianceUrl(ref, `notifications/${id}`) });
+	}
+
+	/**
+	 * @param {{ locationId: string|number, roomId: string|number, applianceId: string }} ref
+	 * @param {string} [suffix] - path below the appliance, e.g. 'command'
+	 * @returns {string}
+	 */
+	applianceUrl(ref, suffix) {
+		const url = `${this.baseUrl}/locations/${ref.locationId}/rooms/${ref.roomId}/appliances/${ref.applianceId}`;
+		return suffix ? `${url}/${suffix}` : url;
+	}
 }
 
 module.exports = GroheApi;
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * @typedef {object} ApplianceRef
+ * @property {string} applianceId - Grohe appliance_id
+ * @property {string|number} locationId - Grohe location id
+ * @property {string|number} roomId - Grohe room id
+ * @property {string} type - appliance type name, e.g. SENSE_GUARD
+ * @property {string} name - name as shown in the Grohe app
+ * @property {string} objectId - device object ID below the adapter namespace
+ * @property {string} [account] - id of the Grohe account the appliance belongs to
+ * @property {number} [lastSeen] - time the adapter last read the appliance from the cloud
+ */
+
+/**
+ * Ondus appliance type codes as delivered by the dashboard
+ */
+const APPLIANCE_TYPES = {
+	101: 'SENSE',
+	102: 'SENSE_PLUS',
+	103: 'SENSE_GUARD',
+	104: 'BLUE_HOME',
+	105: 'BLUE_PRO',
+};
+
+/**
+ * @param {number|string|undefined} type - numeric Ondus code or already a type name
+ * @returns {string} type name, e.g. SENSE_GUARD
+ */
+function applianceTypeName(type) {
+	if (typeof type === 'string' && !/^\d+$/.test(type)) {
+		return type;
+	}
+	return APPLIANCE_TYPES[Number(type)] || 'UNKNOWN';
+}
+
+/**
+ * @param {string} name - type name, e.g. SENSE_GUARD
+ * @returns {number|undefined} numeric Ondus code
+ */
+function applianceTypeCode(name) {
+	const entry = Object.entries(APPLIANCE_TYPES).find(([, n]) => n === name);
+	return entry ? Number(entry[0]) : undefined;
+}
+
+/**
+ * Flatten the Ondus `data_latest` into the flat key set the device mapping reads.
+ * Measurement values move to the top level, a few key spellings are aliased.
+ *
+ * @param {Record<string, any>} [dataLatest] - data_latest of an appliance
+ * @param {Record<string, any>} [command] - last known command object of an appliance
+ * @returns {Record<string, any>} flat data
+ */
+function flattenDataLatest(dataLatest, command) {
+	const src = dataLatest && typeof dataLatest === 'object' ? dataLatest : {};
+	const m = src.measurement && typeof src.measurement === 'object' ? src.measurement : {};
+
+	/** @type {Record<string, any>} */
+	const d = { ...src, ...m };
+	delete d.measurement;
+
+	if (d.flow_rate === undefined && m.flowrate !== undefined) {
+		d.flow_rate = m.flowrate;
+	}
+	if (d.battery_level === undefined && m.battery !== undefined) {
+		d.battery_level = m.battery;
+	}
+	if (d.temperature === undefined && m.temperature_guard !== undefined) {
+		d.temperature = m.temperature_guard;
+	}
+	if (d.remaining_co2 === undefined && d.co2_level !== undefined) {
+		d.remaining_co2 = d.co2_level;
+	}
+	if (d.remaining_filter === undefined && d.filter_remaining !== undefined) {
+		d.remaining_filter = d.filter_remaining;
+	}
+	const valveOpen = src.command?.valve_open ?? command?.valve_open;
+	if (d.valve_open === undefined && valveOpen !== undefined) {
+		d.valve_open = valveOpen;
+	}
+	return d;
+}
+
+/**
+ * Turn an appliance of the Ondus dashboard into the device shape used by the adapter.
+ *
+ * @param {Record<string, any>} app - appliance from dashboard.locations[].rooms[].appliances[]
+ * @param {Record<string, any>} location - owning location
+ * @param {Record<string, any>} room - owning room
+ * @returns {Record<string, any>} device
+ */
+function normalizeAppliance(app, location, room) {
+	return {
+		...app,
+		appliance_type: applianceTypeName(app.type ?? app.appliance_type),
+		location_id: location.id,
+		room_id: room.id,
+		data_latest: flattenDataLatest(app.data_latest, app.command),
+		// as sent by the cloud, for the `raw` objects
+		raw_data_latest: app.data_latest,
+	};
+}
+
+/**
+ * @param {string} accountId - account id
+ * @param {string} applianceId - Grohe appliance_id
+ * @returns {string} key of the appliance in the Devices table
+ */
+function applianceKey(accountId, applianceId) {
+	return `${accountId}:${applianceId}`;
+}
+
+/**
+ * Rows of the Devices table for the appliances of a dashboard. The switches of rows that are
+ * already in the table are kept, new appliances start enabled with controls allowed.
+ *
+ * @param {{ id: string, name: string }} account - account the dashboard belongs to
+ * @param {Record<string, any>} dashboard - Ondus dashboard
+ * @param {Map<string, Record<string, any>>} previous - current rows by applianceKey
+ * @param {(applianceId: string) => number|undefined} [lastPolled] - time the adapter last read an appliance
+ * @returns {Record<string, any>[]} rows
+ */
+function applianceRows(account, dashboard, previous, lastPolled = () => undefined) {
+	const rows = [];
+	for (const location of dashboard.locations || []) {
+		for (const room of location.rooms || []) {
+			for (const app of room.appliances || []) {
+				const applianceId = String(app.appliance_id);
+				const prev = previous.get(applianceKey(account.id, applianceId)) || {};
+				const measured = Date.parse(app.data_latest?.measurement?.timestamp);
+				const seen = Number.isFinite(measured) ? measured : lastPolled(applianceId);
+				rows.push({
+					enabled: prev.enabled !== false,
+					writeEnabled: prev.writeEnabled !== false,
+					name: app.name || applianceId,
+					type: applianceTypeName(app.type ?? app.appliance_type),
+					room: room.name || '',
+					lastSeen: seen ? new Date(seen).toLocaleString() : prev.lastSeen || '',
+					accountName: account.name,
+					account: account.id,
+					applianceId,
+				});
+			}
+		}
+	}
+	return rows;
+}
+
+module.exports = {
+	APPLIANCE_TYPES,
+	applianceKey,
+	applianceRows,
+	applianceTypeCode,
+	applianceTypeName,
+	flattenDataLatest,
+	normalizeAppliance,
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+/** Objects created in parallel per batch */
+const BATCH_SIZE = 20;
+
+/**
+ * Keeps the adapter's objects and last written values in memory: objects are read once at
+ * startup, new ones are created in batches, and states are only written when value or ack
+ * changed (or the optional heartbeat is due).
+ */
+class GroheStateCache {
+	/**
+	 * @param {any} adapter - adapter instance
+	 */
+	constructor(adapter) {
+		this.adapter = adapter;
+
+		/** rewrite unchanged values after this time, 0 = never */
+		this.heartbeatMs = 0;
+
+		/**
+		 * object ID (below the namespace) → object
+		 *
+		 * @type {Map<string, Record<string, any>>}
+		 */
+		this.objects = new Map();
+
+		/**
+		 * state ID → last known value
+		 *
+		 * @type {Map<string, { val: ioBroker.StateValue, ack: boolean, ts: number }>}
+		 */
+		this.states = new Map();
+
+		/** @type {Map<string, Record<string, any>>} */
+		this.pendingObjects = new Map();
+
+		/** @type {Map<string, ioBroker.SettableState>} */
+		this.pendingStates = new Map();
+
+		/** @type {Promise<void>|null} */
+		this.flushing = null;
+		this.flushScheduled = false;
+	}
+
+	/**
+	 * Read all objects and values of the instance once.
+	 *
+	 * @param {number} [heartbeatMs] - rewrite unchanged values after this time, 0 = never
+	 */
+	async load(heartbeatMs) {
+		this.heartbeatMs = Math.max(0, Number(heartbeatMs) || 0);
+		const objs = await this.adapter.getAdapterObjectsAsync();
+		for (const [id, obj] of Object.entries(objs || {})) {
+			this.objects.set(this.local(id), obj);
+		}
+		const states = await this.adapter.getStatesAsync('*');
+		for (const [id, st] of Object.entries(states || {})) {
+			if (st) {
+				this.states.set(this.local(id), { val: st.val, ack: !!st.ack, ts: st.ts || 0 });
+			}
+		}
+		this.adapter.log.debug(`Cache: ${this.objects.size} objects, ${this.states.size} values loaded`);
+	}
+
+	/**
+	 * @param {string} id - full or relative ID
+	 * @returns {string} ID below the namespace
+	 */
+	local(id) {
+		const prefix = `${this.adapter.namespace}.`;
+		return id.startsWith(prefix) ? id.slice(prefix.length) : id;
+	}
+
+	/**
+	 * @param {string} id - object ID
+	 * @returns {Record<string, any>|undefined} cached object
+	 */
+	getObject(id) {
+		return this.objects.get(this.local(id));
+	}
+
+	/**
+	 * @param {string} id - state ID
+	 * @returns {ioBroker.StateValue|undefined} last known value
+	 */
+	getValue(id) {
+		return this.states.get(this.local(id))?.val;
+	}
+
+	/**
+	 * Last known value, read from the database only if the cache has none.
+	 *
+	 * @param {string} id - state ID
+	 * @returns {Promise<ioBroker.StateValue|undefined>} value
+	 */
+	async readValue(id) {
+		const key = this.local(id);
+		const cached = this.states.get(key);
+		if (cached) {
+			return cached.val;
+		}
+		const st = await this.adapter.getStateAsync(key);
+		if (st) {
+			this.states.set(key, { val: st.val, ack: !!st.ack, ts: st.ts || Date.now() });
+		}
+		return st?.val;
+	}
+
+	/**
+	 * Create the object in the next batch unless it exists already.
+	 *
+	 * @param {string} id - object ID
+	 * @param {Record<string, any>} obj - object definition
+	 */
+	ensureObject(id, obj) {
+		const key = this.local(id);
+		if (this.objects.has(key)) {
+			return;
+		}
+		this.objects.set(key, obj);
+		this.pendingObjects.set(key, obj);
+		this.scheduleFlush();
+	}
+
+	/**
+	 * Record an object that was written or extended directly.
+	 *
+	 * @param {string} id - object ID
+	 * @param {Record<string, any>} obj - full object or the changed part
+	 */
+	putObject(id, obj) {
+		const key = this.local(id);
+		const prev = this.objects.get(key);
+		this.objects.set(
+			key,
+			prev
+				? {
+						...prev,
+						...obj,
+						common: { ...prev.common, ...obj.common },
+						native: { ...prev.native, ...obj.native },
+					}
+				: obj,
+		);
+	}
+
+	/**
+	 * @param {string} id - deleted object; its children are dropped as well
+	 */
+	removeObject(id) {
+		const local = this.local(id);
+		for (const map of [this.objects, this.states, this.pendingObjects, this.pendingStates]) {
+			for (const key of [...map.keys()]) {
+				if (key === local || key.startsWith(`${local}.`)) {
+					map.delete(key);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Write a state if value or ack changed, or the heartbeat is due.
+	 *
+	 * @param {string} id - state ID
+	 * @param {ioBroker.SettableState} state - new state
+	 */
+	async setState(id, state) {
+		const key = this.local(id);
+		const ack = !!state.ack;
+		const now = Date.now();
+		const prev = this.states.get(key);
+		if (
+			prev &&
+			prev.val === state.val &&
+			prev.ack === ack &&
+			(!this.heartbeatMs || now - prev.ts < this.heartbeatMs)
+		) {
+			return;
+		}
+		if (this.pendingObjects.has(key)) {
+			// written once the object exists
+			this.pendingStates.set(key, state);
+			return;
+		}
+		await this.adapter.setStateAsync(key, state);
+		// only after the write, so a failed write is repeated next time
+		this.states.set(key, { val: state.val ?? null, ack, ts: now });
+	}
+
+	/**
+	 * Keep the cache in line with changes made by others (user writes, other adapters).
+	 *
+	 * @param {string} id - full state ID
+	 * @param {ioBroker.State} state - new state
+	 */
+	observe(id, state) {
+		if (!id.startsWith(`${this.adapter.namespace}.`)) {
+			return;
+		}
+		this.states.set(this.local(id), { val: state.val, ack: !!state.ack, ts: state.ts || Date.now() });
+	}
+
+	/**
+	 * Keep the cache in line with objects changed or deleted by others (admin, scripts).
+	 *
+	 * @param {string} id - full object ID
+	 * @param {ioBroker.Object|null|undefined} obj - new object, empty when deleted
+	 */
+	observeObject(id, obj) {
+		if (!id.startsWith(`${this.adapter.namespace}.`)) {
+			return;
+		}
+		const local = this.local(id);
+		if (obj) {
+			this.objects.set(local, obj);
+			return;
+		}
+		// created and written again when still needed
+		this.objects.delete(local);
+		this.states.delete(local);
+	}
+
+	scheduleFlush() {
+		if (this.flushScheduled) {
+			return;
+		}
+		this.flushScheduled = true;
+		setImmediate(() => {
+			this.flushScheduled = false;
+			this.flush().catch(e =>
+				this.adapter.log.warn(this.adapter.t('Objects could not be created: %s', e.message)),
+			);
+		});
+	}
+
+	/**
+	 * Create all pending objects, then write the values that waited for them.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		while (this.flushing) {
+			await this.flushing;
+		}
+		if (!this.pendingObjects.size) {
+			return;
+		}
+		this.flushing = this._flush();
+		try {
+			await this.flushing;
+		} finally {
+			this.flushing = null;
+		}
+		if (this.pendingObjects.size) {
+			// added while the batch was written
+			await this.flush();
+		}
+	}
+
+	async _flush() {
+		const objects = [...this.pendingObjects.entries()];
+		for (let i = 0; i < objects.length; i += BATCH_SIZE) {
+			await Promise.all(
+				objects.slice(i, i + BATCH_SIZE).map(([id, obj]) => this.adapter.setObjectAsync(id, obj)),
+			);
+		}
+
+		const created = new Set(objects.map(([id]) => id));
+		for (const id of created) {
+			this.pendingObjects.delete(id);
+		}
+		const states = [...this.pendingStates.entries()].filter(([id]) => created.has(id));
+		for (const [id] of states) {
+			this.pendingStates.delete(id);
+		}
+		for (let i = 0; i < states.length; i += BATCH_SIZE) {
+			await Promise.all(
+				states
+					.slice(i, i + BATCH_SIZE)
+					.map(([id, st]) =>
+						this.adapter
+							.setStateAsync(id, st)
+							.then(() => this.states.set(id, { val: st.val ?? null, ack: !!st.ack, ts: Date.now() })),
+					),
+			);
+		}
+	}
+}
+
+module.exports = GroheStateCache;
@@ -0,0 +1,210 @@
+'use strict';
+
+const STATUS = {
+	pending: 'pending',
+	confirmed: 'confirmed',
+	failed: 'failed',
+	timeout: 'timeout',
+};
+
+/**
+ * @param {number} ms - delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Serializes commands per appliance and verifies their effect by re-reading the appliance.
+ * Progress and outcome are reported in `<device>.commandStatus` / `<device>.commandLast`.
+ */
+class GroheCommandQueue {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {import('./api')} api - API client
+	 * @param {{ timeoutMs?: number, intervalMs?: number }} [opts] - verification timing
+	 */
+	constructor(adapter, api, opts) {
+		this.adapter = adapter;
+		this.api = api;
+		this.timeoutMs = Math.max(5000, Number(opts?.timeoutMs) || 30000);
+		this.intervalMs = Math.max(500, Number(opts?.intervalMs) || 3000);
+
+		/**
+		 * appliance_id → tail of the command chain
+		 *
+		 * @type {Map<string, Promise<any>>}
+		 */
+		this.queues = new Map();
+
+		this.stopped = false;
+	}
+
+	/**
+	 * Run `fn` after all earlier commands of the same appliance have finished.
+	 *
+	 * @template T
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {() => Promise<T>} fn - command
+	 * @returns {Promise<T>} result of fn
+	 */
+	enqueue(ref, fn) {
+		const prev = this.queues.get(ref.applianceId) || Promise.resolve();
+		const next = prev.catch(() => undefined).then(fn);
+		const tail = next.catch(() => undefined);
+		this.queues.set(ref.applianceId, tail);
+		tail.then(() => {
+			if (this.queues.get(ref.applianceId) === tail) {
+				this.queues.delete(ref.applianceId);
+			}
+		});
+		return next;
+	}
+
+	/**
+	 * Open/close the valve of a Sense Guard and wait until the appliance reports the new position.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - Sense Guard
+	 * @param {boolean} open - target position
+	 * @param {string} [origin] - who requested it (user, rule, sendTo, ...)
+	 * @returns {Promise<{ status: string, valveOpen?: boolean, error?: string }>} outcome
+	 */
+	setValve(ref, open, origin) {
+		const command = open ? 'valveOpen' : 'valveClose';
+		return this.enqueue(ref, async () => {
+			await this.report(ref, command, STATUS.pending, origin);
+			try {
+				await this.api.setValve(ref, open);
+			} catch (e) {
+				await this.report(ref, command, STATUS.failed, origin, e.message);
+				return { status: STATUS.failed, error: e.message };
+			}
+
+			const deadline = Date.now() + this.timeoutMs;
+			let last;
+			while (!this.stopped && Date.now() < deadline) {
+				await sleep(this.intervalMs);
+				try {
+					const cmd = await this.api.getCommand(ref);
+					last = cmd?.command?.valve_open ?? cmd?.valve_open;
+				} catch (e) {
+					this.adapter.log.debug(`${ref.name}: valve state not readable: ${e.message}`);
+					continue;
+				}
+				if (last === open) {
+					await this.adapter.writeState(`${ref.objectId}.valveOpen`, { val: open, ack: true });
+					await this.report(ref, command, STATUS.confirmed, origin);
+					return { status: STATUS.confirmed, valveOpen: open };
+				}
+			}
+
+			const error = this.adapter.t(
+				open ? 'Valve does not report open after %s s' : 'Valve does not report closed after %s s',
+				Math.round(this.timeoutMs / 1000),
+			);
+			await this.report(ref, command, STATUS.timeout, origin, error);
+			return { status: STATUS.timeout, valveOpen: typeof last === 'boolean' ? last : undefined, error };
+		});
+	}
+
+	/**
+	 * Dispense water on a Grohe Blue. There is no read-back, the accepted request counts as confirmed.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - Grohe Blue
+	 * @param {number} type - tap type
+	 * @param {number} amountMl - amount
+	 * @param {string} [origin] - who requested it
+	 * @returns {Promise<{ status: string, result?: any, error?: string }>} outcome
+	 */
+	dispense(ref, type, amountMl, origin) {
+		return this.run(ref, 'dispense', origin, () => this.api.dispense(ref, type, amountMl));
+	}
+
+	/**
+	 * Generic command without read-back: confirmed as soon as the cloud accepts it.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} command - command name for the status state
+	 * @param {string|undefined} origin - who requested it
+	 * @param {() => Promise<any>} fn - request
+	 * @returns {Promise<{ status: string, result?: any, error?: string }>} outcome
+	 */
+	run(ref, command, origin, fn) {
+		return this.enqueue(ref, async () => {
+			await this.report(ref, command, STATUS.pending, origin);
+			let result;
+			try {
+				result = await fn();
+			} catch (e) {
+				await this.report(ref, command, STATUS.failed, origin, e.message);
+				return { status: STATUS.failed, error: e.message };
+			}
+			await this.report(ref, command, STATUS.confirmed, origin);
+			return { status: STATUS.confirmed, result };
+		});
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} command - command name
+	 * @param {string} status - one of STATUS
+	 * @param {string} [origin] - who requested it
+	 * @param {string} [error] - error text
+	 */
+	async report(ref, command, status, origin, error) {
+		await this.ensureObjects(ref);
+		await this.adapter.writeState(`${ref.objectId}.commandStatus`, { val: status, ack: true });
+		await this.adapter.writeState(`${ref.objectId}.commandLast`, {
+			val: JSON.stringify({ command, status, origin: origin || null, error: error || null, ts: Date.now() }),
+			ack: true,
+		});
+
+		await this.adapter.journalEvent(
+			ref,
+			status === STATUS.pending
+				? { type: 'command', command, origin, text: this.adapter.t('%s requested', command) }
+				: {
+						type: 'commandResult',
+						command,
+						status,
+						origin,
+						error,
+						text: `${command} ${this.adapter.t(status)}`,
+					},
+		);
+
+		if (status === STATUS.failed || status === STATUS.timeout) {
+			this.adapter.log.error(`${ref.name}: ${command} ${this.adapter.t(status)}${error ? ` – ${error}` : ''}`);
+		} else if (status === STATUS.confirmed) {
+			this.adapter.log.info(`${ref.name}: ${command} ${this.adapter.t(status)}${origin ? ` (${origin})` : ''}`);
+		}
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 */
+	async ensureObjects(ref) {
+		await this.adapter.ensureState(`${ref.objectId}.commandStatus`, {
+			name: this.adapter.tName('Command status'),
+			type: 'string',
+			role: 'text',
+			states: Object.values(STATUS).reduce((acc, s) => ({ ...acc, [s]: this.adapter.t(s) }), {}),
+			read: true,
+			write: false,
+		});
+		await this.adapter.ensureState(`${ref.objectId}.commandLast`, {
+			name: this.adapter.tName('Last command (JSON)'),
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+	}
+
+	stop() {
+		this.stopped = true;
+	}
+}
+
+module.exports = GroheCommandQueue;
@@ -0,0 +1,233 @@
+'use strict';
+
+const { localDate, addDays } = require('./meter');
+
+/**
+ * Retention per granularity (in days) for the JSON series kept in states, labels are translation keys
+ */
+const GROUPS = {
+	hour: { retentionDays: 7, label: 'Hourly values (JSON)' },
+	day: { retentionDays: 62, label: 'Daily values (JSON)' },
+	week: { retentionDays: 371, label: 'Weekly values (JSON)' },
+	month: { retentionDays: 731, label: 'Monthly values (JSON)' },
+};
+
+/**
+ * Appliance types with history, and the withdrawal field that is summed up into totals
+ */
+const TYPES = {
+	SENSE: { totals: null },
+	SENSE_GUARD: { totals: { field: 'waterconsumption', unit: 'l', label: 'Water consumption' } },
+	BLUE_HOME: { totals: null },
+	BLUE_PRO: { totals: null },
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} first day of the previous month as YYYY-MM-DD
+ */
+function lastMonthStart(date) {
+	return `${addDays(`${date.slice(0, 7)}-01`, -1).slice(0, 7)}-01`;
+}
+
+/**
+ * @param {Record<string, any>} entry - series entry
+ * @returns {string} date/timestamp string of the entry
+ */
+function entryDate(entry) {
+	return String(entry?.date ?? entry?.timestamp ?? '');
+}
+
+/**
+ * Merge fetched entries into a stored series (same date replaces), sorted and trimmed.
+ *
+ * @param {any[]} stored - series from the JSON state
+ * @param {any[]} fetched - series from the cloud
+ * @param {string} minDate - entries before this YYYY-MM-DD are dropped
+ * @returns {any[]} merged series
+ */
+function mergeSeries(stored, fetched, minDate) {
+	/** @type {Map<string, any>} */
+	const byDate = new Map();
+	for (const e of [...(stored || []), ...(fetched || [])]) {
+		const date = entryDate(e);
+		if (date) {
+			byDate.set(date, e);
+		}
+	}
+	return [...byDate.entries()]
+		.filter(([date]) => date.slice(0, 10) >= minDate)
+		.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+		.map(([, e]) => e);
+}
+
+/**
+ * Imports aggregated appliance data (hour/day/week/month) into JSON states and totals.
+ * The first run backfills `historyDays` (at least the last month), later runs only fetch from
+ * the last import on. Days are those of the location, as for the water meter.
+ */
+class GroheHistory {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {import('./api')} api - API client
+	 * @param {{ backfillDays?: number }} [opts] - backfill range of the first import
+	 */
+	constructor(adapter, api, opts) {
+		this.adapter = adapter;
+		this.api = api;
+		this.backfillDays = Math.max(1, Number(opts?.backfillDays) || 62);
+	}
+
+	/**
+	 * @param {string} type - appliance type name
+	 * @returns {boolean} true if history is available for the type
+	 */
+	static supports(type) {
+		return type in TYPES;
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {{ timezone?: string }} [location] - native of the location
+	 * @param {number} [now] - time in ms
+	 */
+	async update(ref, location, now = Date.now()) {
+		const def = TYPES[ref.type];
+		if (!def) {
+			return;
+		}
+
+		const base = `${ref.objectId}.history`;
+		await this.ensureObjects(base, def);
+
+		const last = Number(await this.adapter.cache.readValue(`${base}.lastFetch`)) || 0;
+
+		const timeZone = location?.timezone;
+		const today = localDate(now, timeZone);
+		let from;
+		if (last) {
+			// one day overlap, the last import may have seen an incomplete day
+			from = addDays(localDate(Math.min(last, now), timeZone), -1);
+		} else {
+			// the first import needs the whole last month for its total
+			const backfill = addDays(today, -this.backfillDays);
+			const monthStart = lastMonthStart(today);
+			from = backfill < monthStart ? backfill : monthStart;
+		}
+
+		for (const [groupBy, group] of Object.entries(GROUPS)) {
+			const minDate = addDays(today, -group.retentionDays);
+			// week/month buckets must be fetched completely, otherwise a partial sum replaces the stored one
+			let start = from;
+			if (groupBy === 'week') {
+				start = addDays(from, -7);
+			} else if (groupBy === 'month') {
+				start = `${from.slice(0, 7)}-01`;
+			}
+			const fromDate = start < minDate ? minDate : start;
+
+			const fetched = await this.api.getAggregated(
+				ref,
+				/** @type {'hour'|'day'|'week'|'month'} */ (groupBy),
+				fromDate,
+				today,
+			);
+
+			const sid = `${base}.${groupBy}`;
+			const storedVal = await this.adapter.cache.readValue(sid);
+			let stored = {};
+			try {
+				stored = storedVal ? JSON.parse(String(storedVal)) : {};
+			} catch {
+				stored = {};
+			}
+
+			/** @type {Record<string, any[]>} */
+			const series = {};
+			for (const key of new Set([...Object.keys(stored), ...Object.keys(fetched)])) {
+				if (Array.isArray(stored[key]) || Array.isArray(fetched[key])) {
+					series[key] = mergeSeries(stored[key], fetched[key], minDate);
+				}
+			}
+			await this.adapter.writeState(sid, { val: JSON.stringify(series), ack: true });
+
+			if (groupBy === 'day' && def.totals) {
+				await this.writeTotals(base, def.totals, series.withdrawals || [], today);
+			}
+		}
+
+		await this.adapter.writeState(`${base}.lastFetch`, { val: now, ack: true });
+	}
+
+	/**
+	 * @param {string} base - history channel ID
+	 * @param {{ field: string, unit: string, label: string }} totals - totals definition
+	 * @param {any[]} daily - daily withdrawals
+	 * @param {string} today - local date now
+	 */
+	async writeTotals(base, totals, daily, today) {
+		const yesterday = addDays(today, -1);
+		const thisMonth = today.slice(0, 7);
+		const lastMonth = lastMonthStart(today).slice(0, 7);
+
+		const sum = match =>
+			Math.round(
+				daily
+					.filter(e => match(entryDate(e).slice(0, 10)))
+					.reduce((acc, e) => acc + (Number(e[totals.field]) || 0), 0) * 1000,
+			) / 1000;
+
+		await this.adapter.writeState(`${base}.today`, { val: sum(d => d === today), ack: true });
+		await this.adapter.writeState(`${base}.yesterday`, { val: sum(d => d === yesterday), ack: true });
+		await this.adapter.writeState(`${base}.thisMonth`, { val: sum(d => d.startsWith(thisMonth)), ack: true });
+		await this.adapter.writeState(`${base}.lastMonth`, { val: sum(d => d.startsWith(lastMonth)), ack: true });
+	}
+
+	/**
+	 * @param {string} base - history channel ID
+	 * @param {{ totals: { field: string, unit: string, label: string }|null }} def - type definition
+	 */
+	async ensureObjects(base, def) {
+		await this.adapter.ensureChannel(base, this.adapter.tName('History'));
+
+		for (const [groupBy, group] of Object.entries(GROUPS)) {
+			await this.adapter.ensureState(`${base}.${groupBy}`, {
+				name: this.adapter.tName(group.label),
+				type: 'string',
+				role: 'json',
+				read: true,
+				write: false,
+			});
+		}
+
+		await this.adapter.ensureState(`${base}.lastFetch`, {
+			name: this.adapter.tName('Last import'),
+			type: 'number',
+			role: 'value.time',
+			read: true,
+			write: false,
+		});
+
+		if (def.totals) {
+			const periods = {
+				today: 'today',
+				yesterday: 'yesterday',
+				thisMonth: 'this month',
+				lastMonth: 'last month',
+			};
+			for (const [key, label] of Object.entries(periods)) {
+				// e.g. "Water consumption today", every combination is a translation key
+				await this.adapter.ensureState(`${base}.${key}`, {
+					name: this.adapter.tName(`${def.totals.label} ${label}`),
+					type: 'number',
+					role: 'value',
+					unit: def.totals.unit,
+					read: true,
+					write: false,
+				});
+			}
+		}
+	}
+}
+
+module.exports = GroheHistory;
@@ -0,0 +1,204 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+/** Events kept per appliance in memory and in its file */
+const MAX_EVENTS = 1000;
+
+/** The file is rewritten (trimmed) once it holds this many events more than MAX_EVENTS */
+const TRIM_SLACK = 100;
+
+/** Columns of the CSV export */
+const CSV_COLUMNS = ['time', 'type', 'command', 'status', 'origin', 'text', 'error'];
+
+/**
+ * @typedef {object} JournalEvent
+ * @property {number} ts - time in ms
+ * @property {string} type - leakStart, leakEnd, alarm, command, commandResult, valveOpened, valveClosed, available, unavailable, connected, disconnected
+ * @property {string} [text] - description in the system language
+ * @property {string} [command] - command name of command events
+ * @property {string} [status] - outcome of commandResult events
+ * @property {string} [origin] - who caused it: state `from` with the ioBroker user if set, sendTo, rule:<id> or cloud
+ * @property {string} [error] - error text of failed commands
+ */
+
+/**
+ * @typedef {Pick<import('./appliances').ApplianceRef, 'applianceId' | 'objectId' | 'account'>} JournalTarget
+ */
+
+/**
+ * @param {any} value - cell value
+ * @returns {string} CSV cell, quoted if needed
+ */
+function csvCell(value) {
+	const s = value === undefined || value === null ? '' : String(value);
+	return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Event journal per appliance: leaks, alarms, valve operations with their origin, command
+ * results and connectivity changes. Every appliance has a JSON-lines file in the instance
+ * data directory; the latest events are mirrored into `<device>.journal`.
+ */
+class GroheJournal {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {string} dir - storage directory, the instance data dir
+	 * @param {{ size?: number }} [opts] - size: events in the `journal` state
+	 */
+	constructor(adapter, dir, opts) {
+		this.adapter = adapter;
+		this.dir = path.join(dir, 'journal');
+		this.size = Math.min(MAX_EVENTS, Math.max(1, Math.round(Number(opts?.size) || 50)));
+
+		/**
+		 * file name → events, oldest first (loaded once)
+		 *
+		 * @type {Map<string, Promise<JournalEvent[]>>}
+		 */
+		this.events = new Map();
+
+		/**
+		 * file name → tail of the write chain
+		 *
+		 * @type {Map<string, Promise<void>>}
+		 */
+		this.writeChains = new Map();
+	}
+
+	/**
+	 * @param {JournalTarget} ref - appliance
+	 * @returns {string} journal file name of the appliance
+	 */
+	fileName(ref) {
+		return `${`${ref.account || 'main'}_${ref.applianceId}`.replace(/[^\w-]/g, '_')}.jsonl`;
+	}
+
+	/**
+	 * @param {JournalTarget} ref - appliance
+	 * @returns {Promise<JournalEvent[]>} all stored events, oldest first
+	 */
+	read(ref) {
+		const name = this.fileName(ref);
+		let events = this.events.get(name);
+		if (!events) {
+			events = this.load(name);
+			this.events.set(name, events);
+		}
+		return events;
+	}
+
+	/**
+	 * @param {string} name - file name
+	 * @returns {Promise<JournalEvent[]>} events of the file, oldest first
+	 */
+	async load(name) {
+		/** @type {JournalEvent[]} */
+		const events = [];
+		try {
+			const content = await fs.readFile(path.join(this.dir, name), 'utf8');
+			for (const line of content.split('\n')) {
+				try {
+					const e = line.trim() ? JSON.parse(line) : null;
+					if (e && typeof e.ts === 'number' && e.type) {
+						events.push(e);
+					}
+				} catch {
+					// a line cut off by a crash
+				}
+			}
+		} catch (e) {
+			if (e.code !== 'ENOENT') {
+				this.adapter.log.warn(this.adapter.t('Event journal not readable: %s', e.message));
+			}
+		}
+		return events.slice(-MAX_EVENTS);
+	}
+
+	/**
+	 * Record an event, append it to the file and update the `journal` state.
+	 *
+	 * @param {JournalTarget} ref - appliance
+	 * @param {Omit<JournalEvent, 'ts'> & { ts?: number }} event - event, ts defaults to now
+	 */
+	async add(ref, event) {
+		/** @type {JournalEvent} */
+		const entry = { ts: Date.now(), ...event };
+		for (const key of Object.keys(entry)) {
+			if (entry[key] === undefined || entry[key] === null || entry[key] === '') {
+				delete entry[key];
+			}
+		}
+
+		const name = this.fileName(ref);
+		const events = await this.read(ref);
+		events.push(entry);
+		if (events.length > MAX_EVENTS + TRIM_SLACK) {
+			events.splice(0, events.length - MAX_EVENTS);
+			await this.write(name, events.map(e => `${JSON.stringify(e)}\n`).join(''), true);
+		} else {
+			await this.write(name, `${JSON.stringify(entry)}\n`, false);
+		}
+
+		await this.ensureObjects(ref);
+		await this.adapter.writeState(`${ref.objectId}.journal`, {
+			val: JSON.stringify(events.slice(-this.size).reverse()),
+			ack: true,
+		});
+	}
+
+	/**
+	 * Writes per file are serialized; a rewrite replaces the file atomically.
+	 *
+	 * @param {string} name - file name
+	 * @param {string} content - lines to append or the whole file
+	 * @param {boolean} replace - true to rewrite the file
+	 * @returns {Promise<void>}
+	 */
+	write(name, content, replace) {
+		const file = path.join(this.dir, name);
+		const chain = (this.writeChains.get(name) || Promise.resolve())
+			.catch(() => undefined)
+			.then(async () => {
+				await fs.mkdir(this.dir, { recursive: true });
+				if (replace) {
+					await fs.writeFile(`${file}.tmp`, content, 'utf8');
+					await fs.rename(`${file}.tmp`, file);
+				} else {
+					await fs.appendFile(file, content, 'utf8');
+				}
+			});
+		this.writeChains.set(name, chain);
+		return chain;
+	}
+
+	/**
+	 * @param {JournalTarget} ref - appliance
+	 * @param {{ from?: number, to?: number }} [range] - time range in ms, default everything
+	 * @returns {Promise<string>} events as CSV, oldest first
+	 */
+	async toCsv(ref, range) {
+		const from = Number(range?.from) || 0;
+		const to = Number(range?.to) || Infinity;
+		const rows = (await this.read(ref))
+			.filter(e => e.ts >= from && e.ts <= to)
+			.map(e => CSV_COLUMNS.map(c => csvCell(c === 'time' ? new Date(e.ts).toISOString() : e[c])).join(','));
+		return [CSV_COLUMNS.join(','), ...rows, ''].join('\r\n');
+	}
+
+	/**
+	 * @param {JournalTarget} ref - appliance
+	 */
+	async ensureObjects(ref) {
+		await this.adapter.ensureState(`${ref.objectId}.journal`, {
+			name: this.adapter.tName('Event journal (JSON)'),
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+	}
+}
+
+module.exports = GroheJournal;
@@ -5,6 +5,9 @@ const { wrapper } = require('axios-cookiejar-support');
 const { CookieJar } = require('tough-cookie');
 const cheerio = require('cheerio');
 
+/** Ondus IoT API of the Grohe cloud, the OIDC login lives below it */
+const DEFAULT_BASE_URL = 'https://idp2-apigw.cloud.grohe.com/v3/iot';
+
 function toAbsUrl(base, maybeRelative) {
 	if (!maybeRelative) {
 		return null;
@@ -15,6 +18,16 @@ function toAbsUrl(base, maybeRelative) {
 	return new URL(maybeRelative, base).toString();
 }
 
+/**
+ * The login was rejected because of the credentials or the one-time code; retrying does not help.
+ *
+ * @param {string} message - error text
+ * @returns {Error & { code: string }} error with code AUTH_FAILED
+ */
+function authError(message) {
+	return Object.assign(new Error(message), { code: 'AUTH_FAILED' });
+}
+
 function decodeHtmlEntities(s) {
 	return String(s || '').replace(/&amp;/g, '&');
 }
@@ -28,9 +41,9 @@ function safeHostPath(u) {
 	}
 }
 
-function parseOndusLocation(location) {
+function parseOndusLocation(location, protocol = 'https:') {
 	// Keep ALL query params (state, session_state, code, ...)
-	const httpsUrl = location.replace(/^ondus:\/\//, 'https://');
+	const httpsUrl = location.replace(/^ondus:\/\//, `${protocol}//`);
 	const u = new URL(httpsUrl);
 
 	/** @type {Record<string,string>} */
@@ -52,12 +65,14 @@ function clip(s, n = 500) {
 
 class GroheLogin {
 	/**
-	 * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
-	 * @param {{ debug?: boolean }} [opts]
+	 * @param {import('@iobroker/adapter-core').AdapterInstance & { t: (key: string, ...args: any[]) => string }} adapter
+	 * @param {{ debug?: boolean, baseUrl?: string, otp?: () => Promise<string> }} [opts] - baseUrl: Ondus API base, e.g. of a local test server; otp: supplies the one-time code when the account uses 2FA
 	 */
 	constructor(adapter, opts) {
 		this.adapter = adapter;
 		this.debug = !!opts?.debug;
+		this.otpProvider = opts?.otp || null;
+		this.baseUrl = String(opts?.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
 
 		this.jar = new CookieJar();
 
@@ -105,6 +120,9 @@ class GroheLogin {
 		if (html.includes('Invalid username or password')) {
 			return 'INVALID_CREDENTIALS';
 		}
+		if (html.includes('Invalid authenticator code') || html.includes('Ungültiger Authentifizierungscode')) {
+			return 'INVALID_OTP';
+		}
 		if (html.toLowerCase().includes('otp') || html.toLowerCase().includes('two-factor')) {
 			return 'MFA_REQUIRED';
 		}
@@ -112,14 +130,14 @@ class GroheLogin {
 	}
 
 	async _getAuthPage() {
-		const startUrl = 'https://idp2-apigw.cloud.grohe.com/v3/iot/oidc/login';
+		const startUrl = `${this.baseUrl}/oidc/login`;
 
 		this._logDebug(`GET start ${safeHostPath(startUrl)}`);
 		const startResp = await this.client.get(startUrl, { headers: { Accept: 'text/html,application/xhtml+xml' } });
 
 		this._logDebug(`start status=${startResp.status} hasLocation=${!!startResp.headers.location}`);
 		if (startResp.status !== 302 || !startResp.headers.location) {
-			throw new Error(`Unerwartete Start-Antwort (${startResp.status}), kein Redirect erhalten`);
+			throw new Error(this.adapter.t('Unexpected login start response (%s), no redirect', startResp.status));
 		}
 
 		const authUrl = toAbsUrl(startUrl, startResp.headers.location);
@@ -131,12 +149,12 @@ class GroheLogin {
 		);
 
 		if (authResp.status !== 200 || typeof authResp.data !== 'string') {
-			throw new Error(`Keycloak Auth-Seite unerwartet (${authResp.status})`);
+			throw new Error(this.adapter.t('Unexpected Keycloak login page (%s)', authResp.status));
 		}
 
 		const err = this._detectKnownHtmlErrors(authResp.data);
 		if (err) {
-			throw new Error(`Keycloak Fehlerseite bereits beim GET auth: ${err}`);
+			throw new Error(this.adapter.t('Keycloak error page when opening the login: %s', err));
 		}
 
 		return { authUrl, authHtml: authResp.data };
@@ -148,7 +166,7 @@ class GroheLogin {
 
 		const actionRaw = form.attr('action');
 		if (!actionRaw) {
-			throw new Error('Login-Form action nicht gefunden');
+			throw new Error(this.adapter.t('Login form action not found'));
 		}
 
 		const action = decodeHtmlEntities(actionRaw);
@@ -202,6 +220,55 @@ class GroheLogin {
 		return { actionUrl, fields, userField, passField };
 	}
 
+	/**
+	 * Fill the one-time code into the Keycloak OTP form and submit it.
+	 *
+	 * @param {string} pageUrl - URL of the OTP page (base for a relative form action)
+	 * @param {string} html - OTP page
+	 * @returns {Promise<import('axios').AxiosResponse>} response of the form submission
+	 */
+	async _submitOtp(pageUrl, html) {
+		if (!this.otpProvider) {
+			throw authError(this.adapter.t('MFA/2FA required – automatic login not possible.'));
+		}
+
+		const $ = cheerio.load(html);
+		const form = $('form').first();
+		const actionRaw = form.attr('action');
+		if (!actionRaw) {
+			throw new Error(this.adapter.t('OTP form action not found'));
+		}
+		const actionUrl = toAbsUrl(pageUrl, decodeHtmlEntities(actionRaw));
+
+		/** @type {Record<string,string>} */
+		const fields = {};
+		form.find('input').each((_, el) => {
+			const name = $(el).attr('name');
+			if (name && ($(el).attr('type') || '').toLowerCase() !== 'submit') {
+				fields[name] = $(el).attr('value') ?? '';
+			}
+		});
+		const otpField =
+			['otp', 'totp'].find(f => f in fields) ||
+			form.find('input[type="text"], input[type="number"], input:not([type])').first().attr('name') ||
+			'otp';
+
+		this._logDebug(`OTP form action=${safeHostPath(actionUrl)} field=${otpField}`);
+		const code = String((await this.otpProvider()) || '').replace(/\s+/g, '');
+		if (!code) {
+			throw authError(this.adapter.t('No OTP code received'));
+		}
+		fields[otpField] = code;
+
+		return this.client.post(actionUrl, new URLSearchParams(fields).toString(), {
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+				Referer: pageUrl,
+				Accept: 'text/html,application/xhtml+xml',
+			},
+		});
+	}
+
 	/**
 	 * Exchange tokens using multiple strategies.
 	 * Grohe may expect requestBody to be a STRING (full redirect URL).
@@ -210,7 +277,7 @@ class GroheLogin {
 	 * @returns {Promise<any>}
 	 */
 	async _exchangeCodeForTokens(httpsUrlFromOndus) {
-		const base = 'https://idp2-apigw.cloud.grohe.com/v3/iot/oidc/token';
+		const base = `${this.baseUrl}/oidc/token`;
 
 		const tryOne = async (label, fn) => {
 			try {
@@ -263,15 +330,50 @@ class GroheLogin {
 		);
 	}
 
+	/**
+	 * Start of the login in a browser; once signed in, the browser is sent to an ondus:// URL
+	 * it cannot open, that URL can be passed to exchangeRedirectUrl().
+	 *
+	 * @returns {string} login URL
+	 */
+	loginUrl() {
+		return `${this.baseUrl}/oidc/login`;
+	}
+
+	/**
+	 * Exchange an ondus:// redirect URL copied from the browser for tokens.
+	 *
+	 * @param {string} redirectUrl - ondus://.../v3/iot/oidc/token?...&code=...
+	 * @returns {Promise<{access_token: string, refresh_token: string, id_token?: string, expires_in?: number, token_type?: string}>}
+	 */
+	async exchangeRedirectUrl(redirectUrl) {
+		const loc = String(redirectUrl || '').trim();
+		if (!loc.startsWith('ondus://')) {
+			throw new Error(this.adapter.t('Not an ondus:// address'));
+		}
+		const { httpsUrl, params } = parseOndusLocation(loc, new URL(this.baseUrl).protocol);
+		if (!params.code) {
+			throw new Error(this.adapter.t('The ondus:// address contains no code'));
+		}
+
+		this._logDebug(`manual token redirect url=${safeHostPath(httpsUrl)} (query hidden)`);
+		try {
+			return await this._exchangeCodeForTokens(httpsUrl);
+		} catch (e) {
+			throw new Error(this.adapter.t('Code expired or already used (%s)', e.message));
+		}
+	}
+
 	/**
 	 * Perform a full Keycloak login and return tokens.
+	 *
 	 * @param {string} email
 	 * @param {string} password
 	 * @returns {Promise<{access_token: string, refresh_token: string, id_token?: string, expires_in?: number, token_type?: string}>}
 	 */
 	async login(email, password) {
 		if (!email || !password) {
-			throw new Error('E-Mail/Passwort fehlen');
+			throw authError(this.adapter.t('Email/password missing'));
 		}
 
 		for (let attempt = 1; attempt <= 3; attempt++) {
@@ -306,6 +408,8 @@ class GroheLogin {
 				},
 			});
 
+			let pageUrl = actionUrl;
+			let otpSent = false;
 			let safety = 0;
 			while (safety++ < 20) {
 				const loc = resp.headers.location;
@@ -314,7 +418,8 @@ class GroheLogin {
 				);
 
 				if (loc && loc.startsWith('ondus://')) {
-					const { httpsUrl } = parseOndusLocation(loc);
+					// the app scheme stands for the API host, keep the protocol of the configured base
+					const { httpsUrl } = parseOndusLocation(loc, new URL(this.baseUrl).protocol);
 					this._logDebug(`token redirect url=${safeHostPath(httpsUrl)} (query hidden)`);
 
 					const tokens = await this._exchangeCodeForTokens(httpsUrl);
@@ -323,8 +428,8 @@ class GroheLogin {
 				}
 
 				if (loc && (resp.status === 302 || resp.status === 303)) {
-					const nextUrl = toAbsUrl(actionUrl, loc);
-					resp = await this.client.get(nextUrl, { headers: { Accept: 'text/html,application/xhtml+xml' } });
+					pageUrl = toAbsUrl(pageUrl, loc);
+					resp = await this.client.get(pageUrl, { headers: { Accept: 'text/html,application/xhtml+xml' } });
 					continue;
 				}
 
@@ -336,22 +441,30 @@ class GroheLogin {
 							this._logDebug('Retrying due to restart cookie issue...');
 							break;
 						}
+						if (known === 'INVALID_OTP') {
+							throw authError(this.adapter.t('OTP code invalid or expired.'));
+						}
+						if (known === 'MFA_REQUIRED' && !otpSent) {
+							resp = await this._submitOtp(pageUrl, resp.data);
+							otpSent = true;
+							continue;
+						}
 						if (known === 'MFA_REQUIRED') {
-							throw new Error('MFA/2FA erforderlich – automatischer Login nicht möglich.');
+							throw authError(this.adapter.t('OTP code was not accepted.'));
 						}
 						if (known === 'INVALID_CREDENTIALS') {
-							throw new Error('Ungültige Zugangsdaten (Keycloak).');
+							throw authError(this.adapter.t('Invalid credentials (Keycloak).'));
 						}
-						throw new Error(`Keycloak Fehlerseite: ${known}`);
+						throw new Error(this.adapter.t('Keycloak error page: %s', known));
 					}
-					throw new Error('Login fehlgeschlagen (Keycloak lieferte HTML statt Redirect).');
+					throw new Error(this.adapter.t('Login failed (Keycloak returned HTML instead of a redirect).'));
 				}
 
-				throw new Error(`Unerwarteter Login-Flow Zustand (${resp.status})`);
+				throw new Error(this.adapter.t('Unexpected login flow state (%s)', resp.status));
 			}
 		}
 
-		throw new Error('Login fehlgeschlagen (nach 3 Versuchen).');
+		throw new Error(this.adapter.t('Login failed (after 3 attempts).'));
 	}
 }
 
@@ -0,0 +1,382 @@
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Cloud totals are fetched at most this often per appliance */
+const CLOUD_INTERVAL_MS = 15 * 60 * 1000;
+
+/** Flow is not integrated across longer gaps between two polls */
+const MAX_FLOW_GAP_MS = 60 * 60 * 1000;
+
+/** Withdrawal field of the daily cloud series, litres */
+const CLOUD_FIELD = 'waterconsumption';
+
+/**
+ * Counters below `<appliance>.meter`, names are translation keys. `days` is the length of the
+ * period that gets its share of the yearly base fee.
+ *
+ * @type {Record<string, { name: string, cost?: string, days?: (date: string) => number }>}
+ */
+const COUNTERS = {
+	total: { name: 'Water consumption total' },
+	today: { name: 'Water consumption today', cost: 'Water costs today', days: () => 1 },
+	yesterday: { name: 'Water consumption yesterday', cost: 'Water costs yesterday', days: () => 1 },
+	week: { name: 'Water consumption this week', cost: 'Water costs this week', days: () => 7 },
+	month: {
+		name: 'Water consumption this month',
+		cost: 'Water costs this month',
+		days: date => new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)), 0)).getUTCDate(),
+	},
+	year: { name: 'Water consumption this year', cost: 'Water costs this year', days: daysInYear },
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} days of the year of the date
+ */
+function daysInYear(date) {
+	const year = Number(date.slice(0, 4));
+	return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+}
+
+/**
+ * @param {number} ts - time in ms
+ * @param {string} [timeZone] - IANA time zone of the location, default the system zone
+ * @returns {string} local date as YYYY-MM-DD
+ */
+function localDate(ts, timeZone) {
+	let fmt;
+	try {
+		fmt = new Intl.DateTimeFormat('en', {
+			timeZone: timeZone || undefined,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+		});
+	} catch {
+		// unknown zone from the cloud
+		fmt = new Intl.DateTimeFormat('en', { year: 'numeric', month: '2-digit', day: '2-digit' });
+	}
+	const parts = Object.fromEntries(fmt.formatToParts(new Date(ts)).map(p => [p.type, p.value]));
+	return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - days to add, may be negative
+ * @returns {string} shifted date
+ */
+function addDays(date, days) {
+	return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Monday of the week of the date
+ */
+function weekStart(date) {
+	const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+	return addDays(date, -weekday);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {'day'|'week'|'month'|'year'} period - counter period
+ * @returns {string} key of the period containing the date
+ */
+function periodKey(date, period) {
+	switch (period) {
+		case 'day':
+			return date;
+		case 'week':
+			return weekStart(date);
+		case 'month':
+			return date.slice(0, 7);
+		case 'year':
+			return date.slice(0, 4);
+		default:
+			return '';
+	}
+}
+
+/**
+ * Cumulative water meter per Sense Guard: total, today, yesterday, week, month and year in
+ * litres plus their costs. Counters grow from the daily cloud totals or by integrating the
+ * flow rate between polls, and reset on period boundaries in the time zone of the location.
+ */
+class GroheWaterMeter {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {import('./api')} api - API client
+	 * @param {{ source?: string, waterPrice?: number, wastewaterPrice?: number, baseFee?: number }} [opts]
+	 *   counter source ('cloud' or 'flow'), prices per m³ and the fixed base fee per year
+	 */
+	constructor(adapter, api, opts) {
+		this.adapter = adapter;
+		this.api = api;
+		this.source = opts?.source === 'flow' ? 'flow' : 'cloud';
+		this.pricePerM3 = (Number(opts?.waterPrice) || 0) + (Number(opts?.wastewaterPrice) || 0);
+		this.baseFee = Number(opts?.baseFee) || 0;
+
+		/**
+		 * appliance_id → counters in litres, time of the last update and the last flow sample
+		 *
+		 * @type {Map<string, { counters: Record<string, number>, updated: number, cloudAt: number, flow: { ts: number, rate: number }|null }>}
+		 */
+		this.meters = new Map();
+	}
+
+	/**
+	 * @param {string} type - appliance type name
+	 * @returns {boolean} true if the type measures the water consumption
+	 */
+	static supports(type) {
+		return type === 'SENSE_GUARD';
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - Sense Guard
+	 * @param {Record<string, any>} dev - normalized appliance
+	 * @param {{ timezone?: string, currency?: string }} [location] - native of the location
+	 * @param {number} [now] - time in ms
+	 */
+	async update(ref, dev, location, now = Date.now()) {
+		const base = `${ref.objectId}.meter`;
+		const timeZone = location?.timezone;
+		await this.ensureObjects(base, location?.currency || '€');
+
+		const meter = await this.load(ref, base);
+		const today = localDate(now, timeZone);
+		const last = meter.updated ? localDate(meter.updated, timeZone) : today;
+
+		// fetched before the rollover, so a failed request leaves the counters as they were
+		const daily =
+			this.source === 'cloud' && now - meter.cloudAt >= CLOUD_INTERVAL_MS
+				? await this.cloudTotals(ref, meter, last, today)
+				: null;
+		// what the counters hold for the days of the last update, before the rollover clears them
+		const counted = new Map([
+			[addDays(last, -1), meter.counters.yesterday],
+			[last, meter.counters.today],
+		]);
+		this.rollover(meter, last, today);
+
+		if (this.source === 'flow') {
+			this.integrateFlow(meter, dev, now, today);
+		} else if (daily) {
+			this.addCloudTotals(meter, daily, counted, today);
+			meter.cloudAt = now;
+		}
+		meter.updated = now;
+
+		await this.write(base, meter, today);
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - Sense Guard
+	 * @param {string} base - meter channel ID
+	 * @returns {Promise<{ counters: Record<string, number>, updated: number, cloudAt: number, flow: { ts: number, rate: number }|null }>} meter
+	 */
+	async load(ref, base) {
+		let meter = this.meters.get(ref.applianceId);
+		if (!meter) {
+			/** @type {Record<string, number>} */
+			const counters = {};
+			for (const key of Object.keys(COUNTERS)) {
+				counters[key] = Number((await this.adapter.getStateAsync(`${base}.${key}`))?.val) || 0;
+			}
+			const updated = Number((await this.adapter.getStateAsync(`${base}.lastUpdate`))?.val) || 0;
+			meter = { counters, updated, cloudAt: 0, flow: null };
+			this.meters.set(ref.applianceId, meter);
+		}
+		return meter;
+	}
+
+	/**
+	 * Reset the counters whose period ended since the last update.
+	 *
+	 * @param {{ counters: Record<string, number> }} meter - meter
+	 * @param {string} last - local date of the last update
+	 * @param {string} today - local date now
+	 */
+	rollover(meter, last, today) {
+		if (last === today) {
+			return;
+		}
+		const c = meter.counters;
+		c.yesterday = last === addDays(today, -1) ? c.today : 0;
+		c.today = 0;
+		for (const period of /** @type {const} */ (['week', 'month', 'year'])) {
+			if (periodKey(last, period) !== periodKey(today, period)) {
+				c[period] = 0;
+			}
+		}
+	}
+
+	/**
+	 * Count litres consumed on a date into every counter whose current period contains it.
+	 *
+	 * @param {{ counters: Record<string, number> }} meter - meter
+	 * @param {number} litres - consumption
+	 * @param {string} date - local date of the consumption
+	 * @param {string} today - local date now
+	 */
+	add(meter, litres, date, today) {
+		if (!(litres > 0)) {
+			return;
+		}
+		const c = meter.counters;
+		c.total += litres;
+		if (date === today) {
+			c.today += litres;
+		} else if (date === addDays(today, -1)) {
+			c.yesterday += litres;
+		}
+		for (const period of /** @type {const} */ (['week', 'month', 'year'])) {
+			if (periodKey(date, period) === periodKey(today, period)) {
+				c[period] += litres;
+			}
+		}
+	}
+
+	/**
+	 * Trapezoidal integration of the flow rate (l/h) since the previous poll.
+	 *
+	 * @param {{ counters: Record<string, number>, flow: { ts: number, rate: number }|null }} meter - meter
+	 * @param {Record<string, any>} dev - normalized appliance
+	 * @param {number} now - time in ms
+	 * @param {string} today - local date now
+	 */
+	integrateFlow(meter, dev, now, today) {
+		const rate = Number(dev.data_latest?.flow_rate);
+		if (!Number.isFinite(rate) || rate < 0) {
+			return;
+		}
+		const prev = meter.flow;
+		meter.flow = { ts: now, rate };
+		if (!prev || now <= prev.ts || now - prev.ts > MAX_FLOW_GAP_MS) {
+			return;
+		}
+		this.add(meter, (((prev.rate + rate) / 2) * (now - prev.ts)) / 3600000, today, today);
+	}
+
+	/**
+	 * Daily cloud totals to compare with the counters. The first run (no counters yet) takes the
+	 * whole current year, later runs the day before the last update up to today, so days the
+	 * adapter was not running are included.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - Sense Guard
+	 * @param {{ updated: number }} meter - meter
+	 * @param {string} last - local date of the last update
+	 * @param {string} today - local date now
+	 * @returns {Promise<Map<string, number>>} local date → litres
+	 */
+	async cloudTotals(ref, meter, last, today) {
+		const week = weekStart(today);
+		const yearStart = `${today.slice(0, 4)}-01-01`;
+		const from = !meter.updated ? (week < yearStart ? week : yearStart) : addDays(last, -1);
+
+		const data = await this.api.getAggregated(ref, 'day', from, today);
+
+		/** @type {Map<string, number>} */
+		const daily = new Map();
+		for (const e of data.withdrawals || []) {
+			const date = String(e?.date ?? e?.timestamp ?? '').slice(0, 10);
+			if (date >= from) {
+				daily.set(date, (daily.get(date) || 0) + (Number(e[CLOUD_FIELD]) || 0));
+			}
+		}
+		return daily;
+	}
+
+	/**
+	 * Count what the daily cloud totals report beyond what was counted for each day so far.
+	 *
+	 * @param {{ counters: Record<string, number> }} meter - meter
+	 * @param {Map<string, number>} daily - local date → litres from the cloud
+	 * @param {Map<string, number>} counted - local date → litres already counted
+	 * @param {string} today - local date now
+	 */
+	addCloudTotals(meter, daily, counted, today) {
+		for (const [date, litres] of daily) {
+			this.add(meter, litres - (counted.get(date) || 0), date, today);
+		}
+	}
+
+	/**
+	 * @param {number} litres - consumption
+	 * @param {number} days - days of the period
+	 * @param {string} today - local date now
+	 * @returns {number} consumption costs plus the share of the base fee
+	 */
+	cost(litres, days, today) {
+		const fee = (this.baseFee * days) / daysInYear(today);
+		return Math.round(((litres / 1000) * this.pricePerM3 + fee) * 100) / 100;
+	}
+
+	/**
+	 * @param {string} base - meter channel ID
+	 * @param {{ counters: Record<string, number>, updated: number }} meter - meter
+	 * @param {string} today - local date now
+	 */
+	async write(base, meter, today) {
+		for (const [key, def] of Object.entries(COUNTERS)) {
+			const litres = Math.round(meter.counters[key] * 1000) / 1000;
+			await this.adapter.writeState(`${base}.${key}`, { val: litres, ack: true });
+			if (def.cost && def.days) {
+				await this.adapter.writeState(`${base}.${costId(key)}`, {
+					val: this.cost(litres, def.days(today), today),
+					ack: true,
+				});
+			}
+		}
+		await this.adapter.writeState(`${base}.lastUpdate`, { val: meter.updated, ack: true });
+	}
+
+	/**
+	 * @param {string} base - meter channel ID
+	 * @param {string} currency - unit of the cost states
+	 */
+	async ensureObjects(base, currency) {
+		await this.adapter.ensureChannel(base, this.adapter.tName('Water meter'));
+
+		for (const [key, def] of Object.entries(COUNTERS)) {
+			await this.adapter.ensureState(`${base}.${key}`, {
+				name: this.adapter.tName(def.name),
+				type: 'number',
+				role: 'value',
+				unit: 'l',
+				read: true,
+				write: false,
+			});
+			if (def.cost) {
+				await this.adapter.ensureState(`${base}.${costId(key)}`, {
+					name: this.adapter.tName(def.cost),
+					type: 'number',
+					role: 'value',
+					unit: currency,
+					read: true,
+					write: false,
+				});
+			}
+		}
+
+		await this.adapter.ensureState(`${base}.lastUpdate`, {
+			name: this.adapter.tName('Last meter update'),
+			type: 'number',
+			role: 'value.time',
+			read: true,
+			write: false,
+		});
+	}
+}
+
+/**
+ * @param {string} key - counter key, e.g. today
+ * @returns {string} state ID of its costs, e.g. costToday
+ */
+function costId(key) {
+	return `cost${key[0].toUpperCase()}${key.slice(1)}`;
+}
+
+module.exports = { GroheWaterMeter, localDate, addDays, periodKey };
@@ -0,0 +1,333 @@
+'use strict';
+
+/** Minimum time between two notification requests of an appliance whose dashboard entry has none */
+const FETCH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Alarm states per appliance, set while an unread notification of the group exists (names are translation keys)
+ */
+const ALARMS = {
+	leak: 'Water/leak detected',
+	frost: 'Frost warning',
+	batteryLow: 'Battery low',
+	pressureDrop: 'Pressure drop/micro leak',
+	offline: 'Connection lost',
+	temperature: 'Temperature outside limit',
+	humidity: 'Humidity outside limit',
+	consumption: 'Unusual consumption',
+	systemError: 'System error',
+};
+
+/**
+ * Ondus notification codes `<category>:<type>` → alarm group and text (translation key).
+ * Category 10 = information, 20 = warning, 30 = alarm.
+ *
+ * @type {Record<string, { alarm?: string, text: string }>}
+ */
+const NOTIFICATION_TYPES = {
+	'10:60': { text: 'Firmware update available' },
+	'10:410': { text: 'Installation successful' },
+	'10:460': { text: 'Firmware update available' },
+	'10:556': { text: 'System information' },
+	'10:557': { text: 'Sense Guard firmware update available' },
+	'20:11': { alarm: 'batteryLow', text: 'Battery low' },
+	'20:12': { alarm: 'batteryLow', text: 'Battery empty' },
+	'20:20': { alarm: 'temperature', text: 'Temperature below limit' },
+	'20:21': { alarm: 'temperature', text: 'Temperature above limit' },
+	'20:30': { alarm: 'humidity', text: 'Humidity below limit' },
+	'20:31': { alarm: 'humidity', text: 'Humidity above limit' },
+	'20:40': { alarm: 'frost', text: 'Frost warning' },
+	'20:80': { alarm: 'offline', text: 'WiFi connection lost' },
+	'20:81': { alarm: 'offline', text: 'No connection to the cloud' },
+	'20:320': { alarm: 'consumption', text: 'Unusual consumption – water shut off' },
+	'20:321': { alarm: 'consumption', text: 'Unusual consumption – water not shut off' },
+	'20:330': { alarm: 'pressureDrop', text: 'Micro leak detected' },
+	'20:332': { alarm: 'leak', text: 'Water leak detected' },
+	'20:380': { alarm: 'frost', text: 'Frost warning' },
+	'20:381': { alarm: 'frost', text: 'Risk of frost' },
+	'20:400': { alarm: 'consumption', text: 'Maximum water volume reached' },
+	'20:403': { alarm: 'consumption', text: 'Maximum flow rate exceeded' },
+	'20:404': { alarm: 'consumption', text: 'Maximum withdrawal time exceeded' },
+	'20:420': { alarm: 'systemError', text: 'Sense Guard system error' },
+	'30:0': { alarm: 'leak', text: 'Flooding detected' },
+	'30:50': { alarm: 'leak', text: 'Flooding detected' },
+	'30:90': { alarm: 'systemError', text: 'System error 90' },
+	'30:100': { alarm: 'systemError', text: 'System error 100' },
+	'30:101': { alarm: 'systemError', text: 'System error 101' },
+	'30:102': { alarm: 'systemError', text: 'System error 102' },
+	'30:103': { alarm: 'systemError', text: 'System error 103' },
+	'30:310': { alarm: 'pressureDrop', text: 'Pipe burst detected' },
+	'30:330': { alarm: 'pressureDrop', text: 'Micro leak detected' },
+	'30:340': { alarm: 'leak', text: 'Several leaks detected' },
+	'30:400': { alarm: 'consumption', text: 'Maximum water volume reached – water shut off' },
+	'30:430': { alarm: 'leak', text: 'Water detected' },
+	'30:431': { alarm: 'leak', text: 'Water detected' },
+};
+
+/**
+ * @param {Record<string, any>} n - Ondus notification
+ * @param {(key: string, ...args: any[]) => string} t - translation
+ * @returns {{ alarm?: string, text: string }} mapping with the translated text, generic text for unknown codes
+ */
+function describe(n, t) {
+	const known = NOTIFICATION_TYPES[`${n.category}:${n.type}`];
+	if (known) {
+		return { alarm: known.alarm, text: t(known.text) };
+	}
+	return { text: n.notification_text || t('Notification %s/%s', n.category, n.type) };
+}
+
+/**
+ * Maps cloud notifications of each appliance to alarm states, keeps the combined
+ * `alarms.active` list and raises new warnings/alarms as ioBroker notifications.
+ */
+class GroheNotifications {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {import('./api')} api - API client
+	 * @param {{ notify?: boolean, channel?: string }} [opts] - notify: raise via the ioBroker notification system; channel: where the combined list of the account goes
+	 */
+	constructor(adapter, api, opts) {
+		this.adapter = adapter;
+		this.api = api;
+		this.notify = !!opts?.notify;
+		this.channel = opts?.channel || 'alarms';
+
+		/**
+		 * appliance_id → active (unread) notifications
+		 *
+		 * @type {Map<string, any[]>}
+		 */
+		this.active = new Map();
+
+		/**
+		 * appliance_id → earliest next notification request
+		 *
+		 * @type {Map<string, number>}
+		 */
+		this.fetchDue = new Map();
+	}
+
+	async init() {
+		await this.adapter.ensureChannel(this.channel, this.adapter.tName('Alarms'));
+		await this.adapter.ensureState(`${this.channel}.active`, {
+			name: this.adapter.tName('Active alarms of all appliances (JSON)'),
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+		await this.adapter.ensureState(`${this.channel}.count`, {
+			name: this.adapter.tName('Number of active alarms'),
+			type: 'number',
+			role: 'value',
+			read: true,
+			write: false,
+		});
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {any[]} [notifications] - notifications from the dashboard; fetched if missing, at most every 10 min
+	 * @param {number} [now] - time in ms
+	 */
+	async update(ref, notifications, now = Date.now()) {
+		if (Array.isArray(notifications)) {
+			await this.apply(ref, notifications);
+			return;
+		}
+		if (now < (this.fetchDue.get(ref.applianceId) || 0)) {
+			return;
+		}
+		this.fetchDue.set(ref.applianceId, now + FETCH_INTERVAL_MS);
+		await this.apply(ref, await this.api.getNotifications(ref));
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {any[]} list - all notifications of the appliance
+	 */
+	async apply(ref, list) {
+		const base = `${ref.objectId}.alarms`;
+		await this.ensureObjects(base);
+
+		const previous = await this.readList(`${base}.list`);
+		const known = new Set(previous.map(n => n.id));
+
+		const unread = list
+			.filter(n => !n.is_read)
+			.map(n => {
+				const d = describe(n, this.adapter.t.bind(this.adapter));
+				return {
+					id: n.id,
+					category: n.category,
+					type: n.type,
+					alarm: d.alarm || null,
+					text: d.text,
+					timestamp: n.timestamp,
+				};
+			})
+			.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+		for (const key of Object.keys(ALARMS)) {
+			const on = unread.some(n => n.alarm === key && n.category >= 20);
+			await this.adapter.writeState(`${base}.${key}`, { val: on, ack: true });
+		}
+		await this.adapter.writeState(`${base}.list`, { val: JSON.stringify(unread), ack: true });
+		await this.adapter.writeState(`${base}.lastMessage`, { val: unread[0]?.text || '', ack: true });
+
+		for (const n of unread) {
+			if (!known.has(n.id) && n.category >= 20) {
+				this.adapter.log.warn(`${ref.name}: ${n.text}`);
+				await this.adapter.journalEvent(ref, { type: 'alarm', origin: 'cloud', text: n.text });
+				await this.raise(ref, n);
+			}
+		}
+
+		this.active.set(
+			ref.applianceId,
+			unread.map(n => ({ ...n, device: ref.name, objectId: ref.objectId })),
+		);
+		await this.writeCombined();
+	}
+
+	/**
+	 * Mark notifications as read in the cloud.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} which - notification id or 'all'
+	 */
+	async acknowledge(ref, which) {
+		for (const n of this.select(ref, which)) {
+			await this.api.markNotificationRead(ref, n.id, n.category);
+		}
+		await this.apply(ref, await this.api.getNotifications(ref));
+	}
+
+	/**
+	 * Delete notifications in the cloud.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} which - notification id or 'all'
+	 */
+	async dismiss(ref, which) {
+		for (const n of this.select(ref, which)) {
+			await this.api.deleteNotification(ref, n.id);
+		}
+		await this.apply(ref, await this.api.getNotifications(ref));
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} which - notification id or 'all'
+	 * @returns {any[]} selected active notifications
+	 */
+	select(ref, which) {
+		const all = this.active.get(ref.applianceId) || [];
+		const key = String(which || '').trim();
+		if (!key || key === 'all' || key === 'true') {
+			return all;
+		}
+		const found = all.filter(n => String(n.id) === key);
+		if (!found.length) {
+			throw new Error(this.adapter.t('Notification %s not found', key));
+		}
+		return found;
+	}
+
+	/**
+	 * @param {string} applianceId - appliance that no longer exists
+	 */
+	async forget(applianceId) {
+		this.fetchDue.delete(applianceId);
+		if (this.active.delete(applianceId)) {
+			await this.writeCombined();
+		}
+	}
+
+	async writeCombined() {
+		const all = [...this.active.values()].flat().filter(n => n.category >= 20);
+		await this.adapter.writeState(`${this.channel}.active`, { val: JSON.stringify(all), ack: true });
+		await this.adapter.writeState(`${this.channel}.count`, { val: all.length, ack: true });
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {{ category: number, text: string }} n - mapped notification
+	 */
+	async raise(ref, n) {
+		if (!this.notify || typeof this.adapter.registerNotification !== 'function') {
+			return;
+		}
+		try {
+			await this.adapter.registerNotification(
+				'grohe-smarthome',
+				n.category >= 30 ? 'alarm' : 'warning',
+				`${ref.name}: ${n.text}`,
+			);
+		} catch (e) {
+			this.adapter.log.debug(`registerNotification failed: ${e.message}`);
+		}
+	}
+
+	/**
+	 * @param {string} sid - state ID of a JSON list
+	 * @returns {Promise<any[]>} parsed list, empty if missing/invalid
+	 */
+	async readList(sid) {
+		const val = await this.adapter.cache.readValue(sid);
+		try {
+			const list = val ? JSON.parse(String(val)) : [];
+			return Array.isArray(list) ? list : [];
+		} catch {
+			return [];
+		}
+	}
+
+	/**
+	 * @param {string} base - alarms channel ID of an appliance
+	 */
+	async ensureObjects(base) {
+		await this.adapter.ensureChannel(base, this.adapter.tName('Alarms'));
+
+		for (const [key, label] of Object.entries(ALARMS)) {
+			await this.adapter.ensureState(`${base}.${key}`, {
+				name: this.adapter.tName(label),
+				type: 'boolean',
+				role: 'indicator.alarm',
+				read: true,
+				write: false,
+			});
+		}
+		await this.adapter.ensureState(`${base}.list`, {
+			name: this.adapter.tName('Unread notifications (JSON)'),
+			type: 'string',
+			role: 'json',
+			read: true,
+			write: false,
+		});
+		await this.adapter.ensureState(`${base}.lastMessage`, {
+			name: this.adapter.tName('Last notification'),
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+		await this.adapter.ensureState(`${base}.acknowledge`, {
+			name: this.adapter.tName('Acknowledge (ID or "all")'),
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: true,
+		});
+		await this.adapter.ensureState(`${base}.dismiss`, {
+			name: this.adapter.tName('Delete (ID or "all")'),
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: true,
+		});
+	}
+}
+
+module.exports = GroheNotifications;
@@ -0,0 +1,111 @@
+'use strict';
+
+/** Nesting below `raw` that is still mapped to folders, deeper objects become JSON */
+const MAX_DEPTH = 4;
+
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Role and unit by key name, first match wins
+ *
+ * @type {{ match: RegExp, role: string, unit?: string }[]}
+ */
+const KEY_HINTS = [
+	{ match: /temperature/, role: 'value.temperature', unit: '°C' },
+	{ match: /humidity/, role: 'value.humidity', unit: '%' },
+	// not pressure_drop & co., their unit is unknown
+	{ match: /(^|_)pressure$/, role: 'value.pressure', unit: 'bar' },
+	{ match: /flow_?rate|^flow$/, role: 'value.flow', unit: 'l/h' },
+	{ match: /battery/, role: 'value.battery', unit: '%' },
+	{ match: /rssi|signal|wifi_quality/, role: 'value.signal' },
+];
+
+/**
+ * @typedef {object} RawEntry
+ * @property {string} id - state/channel ID relative to `<device>.raw`
+ * @property {'folder'|'state'} kind - object kind
+ * @property {Record<string, any>} common - object common (name, type, role, unit)
+ * @property {ioBroker.StateValue} [val] - value for states
+ */
+
+/**
+ * @param {string} key - data key
+ * @param {unknown} v - value
+ * @returns {{ common: Record<string, any>, val: ioBroker.StateValue }} state definition
+ */
+function describeValue(key, v) {
+	const k = key.toLowerCase();
+
+	if (typeof v === 'string' && ISO_TIME.test(v) && !Number.isNaN(Date.parse(v))) {
+		return { common: { type: 'number', role: 'value.time' }, val: Date.parse(v) };
+	}
+	if (typeof v === 'boolean') {
+		return {
+			common: { type: 'boolean', role: /leak|alarm|error/.test(k) ? 'indicator.alarm' : 'indicator' },
+			val: v,
+		};
+	}
+	if (typeof v === 'number') {
+		if (/timestamp|_at$/.test(k) && v > 1e9) {
+			// seconds or milliseconds since epoch
+			return { common: { type: 'number', role: 'value.time' }, val: v < 1e12 ? v * 1000 : v };
+		}
+		const hint = KEY_HINTS.find(h => h.match.test(k));
+		/** @type {Record<string, any>} */
+		const common = { type: 'number', role: hint?.role || 'value' };
+		if (hint?.unit) {
+			common.unit = hint.unit;
+		}
+		return { common, val: v };
+	}
+	return { common: { type: 'string', role: 'text' }, val: String(v) };
+}
+
+/**
+ * Flatten raw appliance data: nested objects become folders (`raw` itself is the channel), arrays (and objects nested
+ * deeper than MAX_DEPTH) JSON states. Roles/units are inferred from the key names, ISO
+ * timestamps become `value.time` in ms.
+ *
+ * @param {Record<string, any>} data - raw data, e.g. data_latest
+ * @param {RegExp} forbidden - characters not allowed in object IDs
+ * @returns {RawEntry[]} entries, folders before their children
+ */
+function flattenRaw(data, forbidden) {
+	/** @type {RawEntry[]} */
+	const out = [];
+
+	/**
+	 * @param {Record<string, any>} node - current object
+	 * @param {string} prefix - ID prefix of the node, '' at the top
+	 * @param {number} depth - nesting level
+	 */
+	const walk = (node, prefix, depth) => {
+		for (const [key, v] of Object.entries(node)) {
+			if (v === null || v === undefined) {
+				continue;
+			}
+			const part = key.replace(forbidden, '_').replace(/[\s.]+/g, '_');
+			const id = prefix ? `${prefix}.${part}` : part;
+
+			if (Array.isArray(v) || (typeof v === 'object' && depth >= MAX_DEPTH)) {
+				out.push({
+					id,
+					kind: 'state',
+					common: { name: key, type: 'string', role: 'json' },
+					val: JSON.stringify(v),
+				});
+			} else if (typeof v === 'object') {
+				out.push({ id, kind: 'folder', common: { name: key } });
+				walk(v, id, depth + 1);
+			} else {
+				const d = describeValue(key, v);
+				out.push({ id, kind: 'state', common: { name: key, ...d.common }, val: d.val });
+			}
+		}
+	};
+
+	walk(data && typeof data === 'object' ? data : {}, '', 1);
+	return out;
+}
+
+module.exports = { flattenRaw };
@@ -0,0 +1,325 @@
+'use strict';
+
+/**
+ * @typedef {object} LeakRule
+ * @property {string} id - object ID part below `rules`
+ * @property {string} name - display name
+ * @property {string[]} sources - appliance ids/object IDs/names or foreign state IDs
+ * @property {string[]} guards - Sense Guard ids/object IDs/names whose valve is closed
+ * @property {boolean} reopenAfterAck - reopen the valves when the rule is acknowledged
+ */
+
+/**
+ * @param {unknown} value - comma/semicolon/newline separated list
+ * @returns {string[]} trimmed entries
+ */
+function splitList(value) {
+	return String(value || '')
+		.split(/[,;\n]/)
+		.map(s => s.trim())
+		.filter(Boolean);
+}
+
+/**
+ * @param {unknown} val - state value
+ * @returns {boolean} true if the value means "water detected"
+ */
+function isActive(val) {
+	if (typeof val === 'string') {
+		return ['true', '1', 'on', 'alarm'].includes(val.trim().toLowerCase());
+	}
+	return !!val;
+}
+
+/**
+ * Local leak response: when a linked Sense (or foreign state) reports water, the valves of the
+ * linked Sense Guards are closed, independent of the automation configured in the Grohe cloud.
+ *
+ * Locked controls (Devices table) do not stop a rule from closing a valve: the rule is a safety
+ * function the admin configured for exactly these guards. Reopening after an acknowledgement
+ * respects the lock.
+ */
+class GroheLeakRules {
+	/**
+	 * @param {any} adapter - adapter instance (uses adapter.commands and adapter.findAppliance)
+	 * @param {any[]} rules - rule rows from the instance config
+	 */
+	constructor(adapter, rules) {
+		this.adapter = adapter;
+
+		/** @type {LeakRule[]} */
+		this.rules = [];
+		const used = new Set();
+		(Array.isArray(rules) ? rules : [])
+			.filter(r => r && r.enabled !== false)
+			.forEach((r, idx) => {
+				const base =
+					String(r.name || '')
+						.trim()
+						.replace(adapter.FORBIDDEN_CHARS, '_')
+						.replace(/[\s.]+/g, '_') || `rule${idx + 1}`;
+				let id = base;
+				for (let n = 2; used.has(id); n++) {
+					id = `${base}_${n}`;
+				}
+				used.add(id);
+				this.rules.push({
+					id,
+					name: r.name || id,
+					sources: splitList(r.sources),
+					guards: splitList(r.guards),
+					reopenAfterAck: !!r.reopenAfterAck,
+				});
+			});
+
+		/**
+		 * Foreign state ID → last value interpreted as leak
+		 *
+		 * @type {Map<string, boolean>}
+		 */
+		this.foreign = new Map();
+
+		/**
+		 * rule id → triggered and all valves closed
+		 *
+		 * @type {Map<string, boolean>}
+		 */
+		this.triggered = new Map();
+
+		/**
+		 * sources already reported as not found
+		 *
+		 * @type {Set<string>}
+		 */
+		this.missing = new Set();
+	}
+
+	async init() {
+		if (!this.rules.length) {
+			return;
+		}
+
+		await this.adapter.ensureChannel('rules', this.adapter.tName('Leak rules'));
+
+		for (const rule of this.rules) {
+			const base = `rules.${rule.id}`;
+			await this.adapter.ensureChannel(base, rule.name);
+			await this.adapter.ensureState(`${base}.active`, {
+				name: this.adapter.tName('Rule triggered'),
+				type: 'boolean',
+				role: 'indicator.alarm',
+				read: true,
+				write: false,
+			});
+			await this.adapter.ensureState(`${base}.reason`, {
+				name: this.adapter.tName('Trigger'),
+				type: 'string',
+				role: 'text',
+				read: true,
+				write: false,
+			});
+			await this.adapter.ensureState(`${base}.lastTrigger`, {
+				name: this.adapter.tName('Last triggered'),
+				type: 'number',
+				role: 'value.time',
+				read: true,
+				write: false,
+			});
+			await this.adapter.ensureState(`${base}.valvesClosed`, {
+				name: this.adapter.tName('Valves closed by the rule'),
+				type: 'boolean',
+				role: 'indicator',
+				read: true,
+				write: false,
+			});
+			await this.adapter.ensureState(`${base}.acknowledge`, {
+				name: this.adapter.tName('Acknowledge'),
+				type: 'boolean',
+				role: 'button',
+				read: true,
+				write: true,
+			});
+
+			// a rule whose valves could not be closed before the restart is evaluated again
+			const active = await this.adapter.cache.readValue(`${base}.active`);
+			const closed = await this.adapter.cache.readValue(`${base}.valvesClosed`);
+			this.triggered.set(rule.id, !!active && !!closed);
+
+			for (const src of rule.sources) {
+				const obj = await this.adapter.getForeignObjectAsync(src);
+				if (obj?.type === 'state') {
+					const st = await this.adapter.getForeignStateAsync(src);
+					this.foreign.set(src, isActive(st?.val));
+					this.adapter.subscribeForeignStates(src);
+				}
+			}
+		}
+
+		this.adapter.log.info(this.adapter.t('%s leak rule(s) active', this.rules.length));
+	}
+
+	/**
+	 * @param {string} id - state ID
+	 * @returns {boolean} true if the state is a source of a rule
+	 */
+	isForeignSource(id) {
+		return this.foreign.has(id);
+	}
+
+	/**
+	 * @param {string} id - foreign state ID
+	 * @param {ioBroker.State} state - new state
+	 */
+	async onForeignState(id, state) {
+		this.foreign.set(id, isActive(state.val));
+		await this.evaluate();
+	}
+
+	/**
+	 * Check all rules and close the valves of newly triggered ones.
+	 */
+	async evaluate() {
+		for (const rule of this.rules) {
+			if (this.triggered.get(rule.id)) {
+				continue;
+			}
+			const reason = await this.activeSource(rule);
+			if (reason) {
+				await this.trigger(rule, reason);
+			}
+		}
+	}
+
+	/**
+	 * @param {LeakRule} rule - rule
+	 * @returns {Promise<string|null>} description of the first source reporting water
+	 */
+	async activeSource(rule) {
+		for (const src of rule.sources) {
+			if (this.foreign.has(src)) {
+				if (this.foreign.get(src)) {
+					return src;
+				}
+				continue;
+			}
+			const ref = this.findAppliance(src);
+			if (!ref) {
+				if (!this.missing.has(src)) {
+					this.missing.add(src);
+					this.adapter.log.warn(
+						this.adapter.t('Rule "%s": source %s is neither an appliance nor a state', rule.name, src),
+					);
+				}
+				continue;
+			}
+			this.missing.delete(src);
+			for (const sid of [`${ref.objectId}.leakDetected`, `${ref.objectId}.alarms.leak`]) {
+				if ((await this.adapter.cache.readValue(sid)) === true) {
+					return ref.name;
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @param {LeakRule} rule - rule
+	 * @param {string} reason - source that reported water
+	 */
+	async trigger(rule, reason) {
+		this.triggered.set(rule.id, true);
+		const base = `rules.${rule.id}`;
+		await this.adapter.writeState(`${base}.active`, { val: true, ack: true });
+		await this.adapter.writeState(`${base}.reason`, { val: reason, ack: true });
+		await this.adapter.writeState(`${base}.lastTrigger`, { val: Date.now(), ack: true });
+
+		const ok = await this.setValves(
+			rule,
+			false,
+			this.adapter.t('Rule "%s": water detected by %s', rule.name, reason),
+		);
+		await this.adapter.writeState(`${base}.valvesClosed`, { val: ok, ack: true });
+		if (!ok) {
+			// try again on the next evaluation
+			this.triggered.set(rule.id, false);
+		}
+	}
+
+	/**
+	 * Reset a triggered rule once no source reports water anymore.
+	 *
+	 * @param {string} ruleId - rule id
+	 */
+	async acknowledge(ruleId) {
+		const rule = this.rules.find(r => r.id === ruleId);
+		if (!rule) {
+			throw new Error(this.adapter.t('Rule %s not found', ruleId));
+		}
+		const reason = await this.activeSource(rule);
+		if (reason) {
+			throw new Error(
+				this.adapter.t('Rule "%s" cannot be acknowledged, %s still reports water', rule.name, reason),
+			);
+		}
+
+		this.triggered.set(rule.id, false);
+		await this.adapter.writeState(`rules.${rule.id}.active`, { val: false, ack: true });
+		await this.adapter.writeState(`rules.${rule.id}.valvesClosed`, { val: false, ack: true });
+		this.adapter.log.info(this.adapter.t('Rule "%s" acknowledged', rule.name));
+
+		if (rule.reopenAfterAck) {
+			await this.setValves(rule, true, this.adapter.t('Rule "%s" acknowledged', rule.name));
+		}
+	}
+
+	/**
+	 * @param {LeakRule} rule - rule
+	 * @param {boolean} open - target valve state
+	 * @param {string} why - log message prefix
+	 * @returns {Promise<boolean>} false if at least one valve could not be switched
+	 */
+	async setValves(rule, open, why) {
+		let ok = true;
+		for (const g of rule.guards) {
+			const ref = this.findAppliance(g);
+			if (!ref || ref.type !== 'SENSE_GUARD') {
+				this.adapter.log.warn(this.adapter.t('%s: Sense Guard "%s" not found', why, g));
+				// e.g. appliances of another account not polled yet: retried with the next evaluation
+				ok = false;
+				continue;
+			}
+			this.adapter.log.warn(
+				this.adapter.t(open ? '%s → opening valve of %s' : '%s → closing valve of %s', why, ref.name),
+			);
+			let res;
+			try {
+				// closing is a safety action and bypasses locked controls, reopening does not
+				res = await this.adapter.requireCommands(ref, !open).setValve(ref, open, `rule:${rule.id}`);
+			} catch (e) {
+				res = { status: 'failed', error: e.message };
+			}
+			if (res.status !== 'confirmed') {
+				this.adapter.log.error(
+					this.adapter.t(
+						'%s: valve of %s not confirmed (%s)',
+						why,
+						ref.name,
+						`${this.adapter.t(res.status)}${res.error ? `: ${res.error}` : ''}`,
+					),
+				);
+				ok = false;
+			}
+		}
+		return ok;
+	}
+
+	/**
+	 * @param {string} key - appliance_id, object ID or name
+	 * @returns {import('./appliances').ApplianceRef|undefined} appliance
+	 */
+	findAppliance(key) {
+		return this.adapter.findAppliance(key);
+	}
+}
+
+module.exports = GroheLeakRules;
@@ -0,0 +1,98 @@
+'use strict';
+
+/** Scheduler resolution */
+const TICK_MS = 5000;
+
+/**
+ * Idle interval (s) per appliance type when nothing is configured
+ */
+const DEFAULT_IDLE = {
+	SENSE: 900,
+	SENSE_GUARD: 300,
+	BLUE_HOME: 600,
+	BLUE_PRO: 600,
+};
+
+/**
+ * Decides per appliance when it is polled next: the idle interval of its type,
+ * or the shorter active interval while water flows or an alarm is present.
+ */
+class GrohePollScheduler {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {{ active?: number, idle?: Record<string, number> }} [opts] - intervals in seconds
+	 */
+	constructor(adapter, opts) {
+		this.adapter = adapter;
+		this.activeMs = Math.max(15, Number(opts?.active) || 60) * 1000;
+
+		/** @type {Record<string, number>} */
+		this.idleMs = {};
+		for (const [type, def] of Object.entries(DEFAULT_IDLE)) {
+			this.idleMs[type] = Math.max(60, Number(opts?.idle?.[type]) || def) * 1000;
+		}
+
+		/**
+		 * appliance_id → next poll (epoch ms)
+		 *
+		 * @type {Map<string, number>}
+		 */
+		this.next = new Map();
+
+		/** @type {NodeJS.Timeout|null} */
+		this.timer = null;
+		this.running = false;
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance that was just updated
+	 * @param {boolean} active - water flowing / alarm present
+	 */
+	polled(ref, active) {
+		const interval = active ? this.activeMs : this.idleMs[ref.type] || DEFAULT_IDLE.SENSE * 1000;
+		this.next.set(ref.applianceId, Date.now() + interval);
+	}
+
+	/**
+	 * @param {string} applianceId - appliance that no longer exists
+	 */
+	forget(applianceId) {
+		this.next.delete(applianceId);
+	}
+
+	/**
+	 * @param {(applianceId: string) => Promise<void>} pollOne - polls one appliance
+	 */
+	start(pollOne) {
+		this.timer = setInterval(async () => {
+			if (this.running) {
+				return;
+			}
+			this.running = true;
+			try {
+				const now = Date.now();
+				const due = [...this.next.entries()].filter(([, t]) => t <= now).map(([id]) => id);
+				for (const id of due) {
+					try {
+						await pollOne(id);
+					} catch (err) {
+						this.adapter.log.warn(this.adapter.t('Polling %s failed: %s', id, err.message));
+						// do not hammer a failing appliance on every tick
+						this.next.set(id, Date.now() + this.activeMs);
+					}
+				}
+			} finally {
+				this.running = false;
+			}
+		}, TICK_MS);
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+module.exports = GrohePollScheduler;
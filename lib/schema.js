@@ -0,0 +1,538 @@
+'use strict';
+
+/**
+ * @typedef {object} FieldDef
+ * @property {string} id - state ID below the device, e.g. `controls.valveOpen`
+ * @property {string} [source] - path in the normalized appliance, e.g. `data_latest.temperature`; without source only the object is created
+ * @property {string} [convert] - name of a CONVERTERS entry applied to the source value
+ * @property {string} name - display name, translation key
+ * @property {'number'|'boolean'|'string'} type - value type
+ * @property {string} role - ioBroker role
+ * @property {string} [unit] - unit
+ * @property {number} [min] - lowest value
+ * @property {number} [max] - highest value
+ * @property {Record<string, string>} [states] - value list, labels are translation keys
+ * @property {ioBroker.StateValue} [def] - default value
+ * @property {boolean} [write] - writable; without `command` the written value is just acknowledged
+ * @property {string} [command] - command executed when the state is written (see `runStateCommand` in main.js)
+ */
+
+/**
+ * @typedef {object} ApplianceSchema
+ * @property {string} name - default device name
+ * @property {Record<string, string>} [channels] - channel ID → name (translation key)
+ * @property {FieldDef[]} fields - states of the appliance
+ */
+
+/**
+ * Value converters referenced by `FieldDef.convert`
+ *
+ * @type {Record<string, (value: any, dev: Record<string, any>) => ioBroker.StateValue|undefined>}
+ */
+const CONVERTERS = {
+	time: v => (v ? new Date(v).getTime() : 0),
+	snoozedUntil: (v, dev) => {
+		if (v === undefined && dev.snooze_status === undefined) {
+			return undefined;
+		}
+		const until = v ? new Date(v).getTime() : 0;
+		return dev.snooze_status !== 'NON_ACTIVE' && until > Date.now() ? until : 0;
+	},
+	// co2_type of the Blue config: 1 = 425 g, 2 = 2 kg
+	co2Capacity: v => ({ 1: 425, 2: 2000 })[v],
+};
+
+/**
+ * Fields of Blue Home and Blue Professional
+ *
+ * @type {FieldDef[]}
+ */
+const BLUE_FIELDS = [
+	{
+		id: 'co2Level',
+		source: 'data_latest.remaining_co2',
+		name: 'CO₂ level',
+		type: 'number',
+		role: 'value.fill',
+		unit: '%',
+		min: 0,
+		max: 100,
+	},
+	{
+		id: 'co2RemainingLiters',
+		source: 'data_latest.remaining_co2_liters',
+		name: 'CO₂ remaining',
+		type: 'number',
+		role: 'value.fill',
+		unit: 'l',
+		min: 0,
+	},
+	{
+		id: 'co2Capacity',
+		source: 'config.co2_type',
+		convert: 'co2Capacity',
+		name: 'CO₂ bottle capacity',
+		type: 'number',
+		role: 'value',
+		unit: 'g',
+	},
+	{
+		id: 'filterRemaining',
+		source: 'data_latest.remaining_filter',
+		name: 'Filter remaining capacity',
+		type: 'number',
+		role: 'value.fill',
+		unit: '%',
+		min: 0,
+		max: 100,
+	},
+	{
+		id: 'filterRemainingLiters',
+		source: 'data_latest.remaining_filter_liters',
+		name: 'Filter remaining',
+		type: 'number',
+		role: 'value.fill',
+		unit: 'l',
+		min: 0,
+	},
+	{
+		id: 'waterTemperature',
+		source: 'data_latest.temperature',
+		name: 'Water temperature',
+		type: 'number',
+		role: 'value.temperature',
+		unit: '°C',
+	},
+	{
+		id: 'errorCode',
+		source: 'data_latest.error_code',
+		name: 'Error code',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'counters.stillOpenings',
+		source: 'data_latest.open_close_cycles_still',
+		name: 'Dispenses still',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'counters.carbonatedOpenings',
+		source: 'data_latest.open_close_cycles_carbonated',
+		name: 'Dispenses sparkling',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'counters.stillRunningTime',
+		source: 'data_latest.water_running_time_still',
+		name: 'Dispensing time still',
+		type: 'number',
+		role: 'value',
+		unit: 'min',
+	},
+	{
+		id: 'counters.mediumRunningTime',
+		source: 'data_latest.water_running_time_medium',
+		name: 'Dispensing time medium',
+		type: 'number',
+		role: 'value',
+		unit: 'min',
+	},
+	{
+		id: 'counters.carbonatedRunningTime',
+		source: 'data_latest.water_running_time_carbonated',
+		name: 'Dispensing time sparkling',
+		type: 'number',
+		role: 'value',
+		unit: 'min',
+	},
+	{
+		id: 'counters.operatingTime',
+		source: 'data_latest.operating_time',
+		name: 'Operating time',
+		type: 'number',
+		role: 'value',
+		unit: 'min',
+	},
+	{
+		id: 'counters.powerCuts',
+		source: 'data_latest.power_cut_count',
+		name: 'Power cuts',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'counters.filterChanges',
+		source: 'data_latest.filter_change_count',
+		name: 'Filter changes',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'maintenance.lastFilterChange',
+		source: 'data_latest.date_of_filter_replacement',
+		convert: 'time',
+		name: 'Last filter change',
+		type: 'number',
+		role: 'value.time',
+	},
+	{
+		id: 'maintenance.lastCo2Change',
+		source: 'data_latest.date_of_co2_replacement',
+		convert: 'time',
+		name: 'Last CO₂ change',
+		type: 'number',
+		role: 'value.time',
+	},
+	{
+		id: 'maintenance.resetFilter',
+		name: 'Filter changed (reset counter)',
+		type: 'boolean',
+		role: 'button',
+		write: true,
+		command: 'resetFilter',
+	},
+	{
+		id: 'maintenance.resetCo2',
+		name: 'CO₂ bottle changed (reset counter)',
+		type: 'boolean',
+		role: 'button',
+		write: true,
+		command: 'resetCo2',
+	},
+	{
+		id: 'controls.dispenseType',
+		name: 'Dispense type',
+		type: 'number',
+		role: 'level',
+		states: { 1: 'still', 2: 'medium', 3: 'sparkling' },
+		def: 1,
+		write: true,
+	},
+	{
+		id: 'controls.dispenseAmountMl',
+		name: 'Amount',
+		type: 'number',
+		role: 'level',
+		unit: 'ml',
+		min: 50,
+		max: 2000,
+		def: 250,
+		write: true,
+	},
+	{
+		id: 'controls.dispenseTrigger',
+		name: 'Start dispensing',
+		type: 'boolean',
+		role: 'button',
+		write: true,
+		command: 'dispense',
+	},
+];
+
+/**
+ * Only the Blue Professional has a pump and the cleaning program
+ *
+ * @type {FieldDef[]}
+ */
+const BLUE_PRO_FIELDS = [
+	{
+		id: 'counters.pumpCount',
+		source: 'data_latest.pump_count',
+		name: 'Pump starts',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'counters.pumpRunningTime',
+		source: 'data_latest.pump_running_time',
+		name: 'Pump running time',
+		type: 'number',
+		role: 'value',
+		unit: 'min',
+	},
+	{
+		id: 'counters.cleanings',
+		source: 'data_latest.cleaning_count',
+		name: 'Cleanings',
+		type: 'number',
+		role: 'value',
+	},
+	{
+		id: 'maintenance.cleaningActive',
+		source: 'data_latest.cleaning_mode',
+		name: 'Cleaning running',
+		type: 'boolean',
+		role: 'indicator.working',
+	},
+	{
+		id: 'maintenance.lastCleaning',
+		source: 'data_latest.date_of_cleaning',
+		convert: 'time',
+		name: 'Last cleaning',
+		type: 'number',
+		role: 'value.time',
+	},
+	{
+		id: 'maintenance.startCleaning',
+		name: 'Start cleaning',
+		type: 'boolean',
+		role: 'button',
+		write: true,
+		command: 'startCleaning',
+	},
+];
+
+/** @type {Record<string, ApplianceSchema>} */
+const SCHEMAS = {
+	SENSE: {
+		name: 'Grohe Sense',
+		fields: [
+			{
+				id: 'temperature',
+				source: 'data_latest.temperature',
+				name: 'Temperature',
+				type: 'number',
+				role: 'value.temperature',
+				unit: '°C',
+			},
+			{
+				id: 'humidity',
+				source: 'data_latest.humidity',
+				name: 'Humidity',
+				type: 'number',
+				role: 'value.humidity',
+				unit: '%',
+				min: 0,
+				max: 100,
+			},
+			{
+				id: 'leakDetected',
+				source: 'data_latest.leak_detected',
+				name: 'Water detected',
+				type: 'boolean',
+				role: 'indicator.alarm',
+			},
+			{
+				id: 'battery',
+				source: 'data_latest.battery_level',
+				name: 'Battery',
+				type: 'number',
+				role: 'value.battery',
+				unit: '%',
+				min: 0,
+				max: 100,
+			},
+			{
+				id: 'signal',
+				source: 'data_latest.signal_strength',
+				name: 'Signal',
+				type: 'number',
+				role: 'value.signal',
+			},
+			{ id: 'rssi', source: 'data_latest.rssi', name: 'RSSI', type: 'number', role: 'value.signal', unit: 'dBm' },
+		],
+	},
+
+	SENSE_GUARD: {
+		name: 'Grohe Sense Guard',
+		channels: { controls: 'Controls', pressureMeasurement: 'Pressure measurement' },
+		fields: [
+			{
+				id: 'flowRate',
+				source: 'data_latest.flow_rate',
+				name: 'Flow rate',
+				type: 'number',
+				role: 'value.flow',
+				unit: 'l/h',
+				min: 0,
+			},
+			{
+				id: 'pressure',
+				source: 'data_latest.pressure',
+				name: 'Pressure',
+				type: 'number',
+				role: 'value.pressure',
+				unit: 'bar',
+				min: 0,
+			},
+			{
+				id: 'temperature',
+				source: 'data_latest.temperature',
+				name: 'Water temperature',
+				type: 'number',
+				role: 'value.temperature',
+				unit: '°C',
+			},
+			{
+				id: 'leakDetected',
+				source: 'data_latest.leak_detected',
+				name: 'Leak detected',
+				type: 'boolean',
+				role: 'indicator.alarm',
+			},
+			{
+				id: 'valveOpen',
+				source: 'data_latest.valve_open',
+				name: 'Valve open',
+				type: 'boolean',
+				role: 'indicator.open',
+			},
+			{
+				id: 'setValve',
+				name: 'Valve (switch)',
+				type: 'boolean',
+				role: 'switch',
+				write: true,
+				command: 'valveSwitch',
+			},
+			{
+				id: 'snoozedUntil',
+				source: 'snoozed_until',
+				convert: 'snoozedUntil',
+				name: 'Protection paused until',
+				type: 'number',
+				role: 'value.time',
+			},
+			{
+				id: 'controls.valveOpen',
+				name: 'Open valve',
+				type: 'boolean',
+				role: 'button',
+				write: true,
+				command: 'valveOpen',
+			},
+			{
+				id: 'controls.valveClose',
+				name: 'Close valve',
+				type: 'boolean',
+				role: 'button',
+				write: true,
+				command: 'valveClose',
+			},
+			{
+				id: 'controls.startPressureMeasurement',
+				name: 'Start pressure measurement',
+				type: 'boolean',
+				role: 'button',
+				write: true,
+				command: 'startPressureMeasurement',
+			},
+			{
+				id: 'controls.snoozeMinutes',
+				name: 'Pause protection for (min)',
+				type: 'number',
+				role: 'level',
+				unit: 'min',
+				min: 1,
+				max: 1440,
+				def: 60,
+				write: true,
+			},
+			{
+				id: 'controls.snooze',
+				name: 'Pause protection',
+				type: 'boolean',
+				role: 'button',
+				write: true,
+				command: 'snooze',
+			},
+			{
+				id: 'controls.unsnooze',
+				name: 'Resume protection',
+				type: 'boolean',
+				role: 'button',
+				write: true,
+				command: 'unsnooze',
+			},
+			{ id: 'pressureMeasurement.lastResult', name: 'Last result', type: 'string', role: 'text' },
+			{
+				id: 'pressureMeasurement.leakage',
+				name: 'Leakage detected',
+				type: 'boolean',
+				role: 'indicator.alarm',
+			},
+			{
+				id: 'pressureMeasurement.dropPercent',
+				name: 'Pressure drop',
+				type: 'number',
+				role: 'value',
+				unit: '%',
+			},
+			{ id: 'pressureMeasurement.timestamp', name: 'Time', type: 'number', role: 'value.time' },
+			{ id: 'pressureMeasurement.history', name: 'Measurements (JSON)', type: 'string', role: 'json' },
+		],
+	},
+
+	BLUE_HOME: {
+		name: 'Grohe Blue Home',
+		channels: { controls: 'Controls', counters: 'Counters', maintenance: 'Maintenance' },
+		fields: BLUE_FIELDS,
+	},
+
+	BLUE_PRO: {
+		name: 'Grohe Blue Professional',
+		channels: { controls: 'Controls', counters: 'Counters', maintenance: 'Maintenance' },
+		fields: [...BLUE_FIELDS, ...BLUE_PRO_FIELDS],
+	},
+};
+
+/**
+ * @param {string} type - appliance type name
+ * @returns {ApplianceSchema|undefined} schema, undefined for unknown types
+ */
+function schemaFor(type) {
+	return SCHEMAS[type];
+}
+
+/**
+ * @param {string} type - appliance type name
+ * @param {string} id - state ID relative to the device
+ * @returns {FieldDef|undefined} field
+ */
+function fieldFor(type, id) {
+	return SCHEMAS[type]?.fields.find(f => f.id === id);
+}
+
+/**
+ * @param {FieldDef} field - field
+ * @returns {Record<string, any>} object common
+ */
+function commonFor(field) {
+	/** @type {Record<string, any>} */
+	const common = { name: field.name, type: field.type, role: field.role, read: true, write: !!field.write };
+	for (const key of /** @type {const} */ (['unit', 'min', 'max', 'states', 'def'])) {
+		if (field[key] !== undefined) {
+			common[key] = field[key];
+		}
+	}
+	return common;
+}
+
+/**
+ * @param {FieldDef} field - field
+ * @param {Record<string, any>} dev - normalized appliance
+ * @returns {ioBroker.StateValue|undefined} value to write, undefined if not reported
+ */
+function valueFor(field, dev) {
+	if (!field.source) {
+		return undefined;
+	}
+	const raw = field.source.split('.').reduce((node, key) => node?.[key], dev);
+	const val = field.convert ? CONVERTERS[field.convert](raw, dev) : raw;
+	if (val === undefined || val === null) {
+		return undefined;
+	}
+	if (field.type === 'boolean') {
+		return !!val;
+	}
+	if (field.type === 'number') {
+		const n = Number(val);
+		return Number.isFinite(n) ? n : undefined;
+	}
+	return String(val);
+}
+
+module.exports = { SCHEMAS, schemaFor, fieldFor, commonFor, valueFor };
@@ -0,0 +1,408 @@
+'use strict';
+
+/**
+ * @typedef {object} SettingDef
+ * @property {string} id - state ID below `<device>.settings`
+ * @property {string} path - location in the appliance config, e.g. `thresholds[quantity=temperature,type=min].value`
+ * @property {string} name - display name, translation key
+ * @property {'number'|'boolean'|'string'} type - value type
+ * @property {string} [unit] - unit
+ * @property {number} [min] - lowest allowed value
+ * @property {number} [max] - highest allowed value
+ * @property {Record<string, string>} [states] - allowed values
+ * @property {string[]} [alsoPaths] - further locations that get the same value, e.g. both thresholds of a limit pair
+ */
+
+/** @type {Record<string, SettingDef[]>} */
+const SETTINGS = {
+	SENSE: [
+		{
+			id: 'temperatureMin',
+			path: 'thresholds[quantity=temperature,type=min].value',
+			name: 'Temperature minimum',
+			type: 'number',
+			unit: '°C',
+			min: -10,
+			max: 45,
+		},
+		{
+			id: 'temperatureMax',
+			path: 'thresholds[quantity=temperature,type=max].value',
+			name: 'Temperature maximum',
+			type: 'number',
+			unit: '°C',
+			min: -10,
+			max: 45,
+		},
+		{
+			id: 'temperatureAlarm',
+			path: 'thresholds[quantity=temperature,type=min].enabled',
+			alsoPaths: ['thresholds[quantity=temperature,type=max].enabled'],
+			name: 'Temperature limits enabled',
+			type: 'boolean',
+		},
+		{
+			id: 'humidityMin',
+			path: 'thresholds[quantity=humidity,type=min].value',
+			name: 'Humidity minimum',
+			type: 'number',
+			unit: '%',
+			min: 0,
+			max: 100,
+		},
+		{
+			id: 'humidityMax',
+			path: 'thresholds[quantity=humidity,type=max].value',
+			name: 'Humidity maximum',
+			type: 'number',
+			unit: '%',
+			min: 0,
+			max: 100,
+		},
+		{
+			id: 'humidityAlarm',
+			path: 'thresholds[quantity=humidity,type=min].enabled',
+			alsoPaths: ['thresholds[quantity=humidity,type=max].enabled'],
+			name: 'Humidity limits enabled',
+			type: 'boolean',
+		},
+	],
+	SENSE_GUARD: [
+		{
+			id: 'maxFlowRate',
+			path: 'max_flow_rate',
+			name: 'Maximum flow rate',
+			type: 'number',
+			unit: 'l/h',
+			min: 0,
+			max: 6000,
+		},
+		{
+			id: 'maxVolume',
+			path: 'max_volume',
+			name: 'Maximum withdrawal volume',
+			type: 'number',
+			unit: 'l',
+			min: 0,
+			max: 10000,
+		},
+		{
+			id: 'maxDuration',
+			path: 'max_duration',
+			name: 'Maximum withdrawal time',
+			type: 'number',
+			unit: 'min',
+			min: 0,
+			max: 1440,
+		},
+		{
+			id: 'quietTimeEnabled',
+			path: 'quiet_time.enabled',
+			name: 'Quiet time enabled',
+			type: 'boolean',
+		},
+		{
+			id: 'quietTimeStart',
+			path: 'quiet_time.start',
+			name: 'Quiet time start (HH:MM)',
+			type: 'string',
+		},
+		{
+			id: 'quietTimeEnd',
+			path: 'quiet_time.end',
+			name: 'Quiet time end (HH:MM)',
+			type: 'string',
+		},
+		{
+			id: 'temperatureMin',
+			path: 'thresholds[quantity=temperature,type=min].value',
+			name: 'Temperature minimum',
+			type: 'number',
+			unit: '°C',
+			min: -10,
+			max: 45,
+		},
+		{
+			id: 'temperatureMax',
+			path: 'thresholds[quantity=temperature,type=max].value',
+			name: 'Temperature maximum',
+			type: 'number',
+			unit: '°C',
+			min: -10,
+			max: 45,
+		},
+		{
+			id: 'frostAlert',
+			path: 'monitor_frost_alert',
+			name: 'Frost warning enabled',
+			type: 'boolean',
+		},
+	],
+	BLUE_HOME: [
+		{
+			id: 'waterHardness',
+			path: 'water_hardness',
+			name: 'Water hardness',
+			type: 'number',
+			unit: '°dH',
+			min: 0,
+			max: 50,
+		},
+		{
+			id: 'hoseLength',
+			path: 'hose_length',
+			name: 'Hose length',
+			type: 'number',
+			unit: 'cm',
+			min: 0,
+			max: 500,
+		},
+		{
+			id: 'filterType',
+			path: 'filter_type',
+			name: 'Filter type',
+			type: 'number',
+			states: { 1: 'S', 2: 'M', 3: 'L', 4: 'ActiveCarbon', 5: 'UltraSafe', 6: 'Magnesium+' },
+		},
+		{
+			id: 'co2Type',
+			path: 'co2_type',
+			name: 'CO₂ bottle type',
+			type: 'number',
+			states: { 1: '425 g', 2: '2 kg' },
+		},
+	],
+};
+SETTINGS.BLUE_PRO = SETTINGS.BLUE_HOME;
+
+/**
+ * @param {string} path - setting path
+ * @returns {{ key: string, match: Record<string, string>|null }[]} parsed segments
+ */
+function parsePath(path) {
+	return path.split('.').map(seg => {
+		const m = seg.match(/^([^[]+)\[([^\]]+)\]$/);
+		if (!m) {
+			return { key: seg, match: null };
+		}
+		/** @type {Record<string, string>} */
+		const match = {};
+		for (const cond of m[2].split(',')) {
+			const [k, v] = cond.split('=');
+			match[k.trim()] = v.trim();
+		}
+		return { key: m[1], match };
+	});
+}
+
+/**
+ * @param {any} node - current node
+ * @param {{ key: string, match: Record<string, string>|null }} seg - path segment
+ * @returns {any} child node or undefined
+ */
+function step(node, seg) {
+	const child = node?.[seg.key];
+	if (!seg.match) {
+		return child;
+	}
+	if (!Array.isArray(child)) {
+		return undefined;
+	}
+	const match = seg.match;
+	return child.find(e => Object.entries(match).every(([k, v]) => String(e?.[k]) === v));
+}
+
+/**
+ * @param {Record<string, any>} config - appliance config
+ * @param {string} path - setting path
+ * @returns {any} value or undefined if the path does not exist
+ */
+function getPath(config, path) {
+	let node = config;
+	for (const seg of parsePath(path)) {
+		node = step(node, seg);
+		if (node === undefined || node === null) {
+			return undefined;
+		}
+	}
+	return node;
+}
+
+/**
+ * @param {Record<string, any>} config - appliance config, modified in place
+ * @param {string} path - setting path, must exist
+ * @param {any} value - new value
+ * @returns {boolean} false if the path does not exist
+ */
+function setPath(config, path, value) {
+	const segs = parsePath(path);
+	const last = segs.pop();
+	let node = config;
+	for (const seg of segs) {
+		node = step(node, seg);
+	}
+	if (!last || !node || typeof node !== 'object') {
+		return false;
+	}
+	node[last.key] = value;
+	return true;
+}
+
+/**
+ * Mirrors the cloud appliance config into writable `settings` states and sends validated
+ * changes back. States are acknowledged only with the value the cloud confirmed.
+ */
+class GroheSettings {
+	/**
+	 * @param {any} adapter - adapter instance
+	 * @param {import('./api')} api - API client
+	 */
+	constructor(adapter, api) {
+		this.adapter = adapter;
+		this.api = api;
+
+		/**
+		 * state ID → last value confirmed by the cloud
+		 *
+		 * @type {Map<string, any>}
+		 */
+		this.confirmed = new Map();
+	}
+
+	/**
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {Record<string, any>} [config] - appliance config from the dashboard
+	 */
+	async update(ref, config) {
+		const defs = SETTINGS[ref.type];
+		if (!defs || !config || typeof config !== 'object') {
+			return;
+		}
+
+		const base = `${ref.objectId}.settings`;
+		let channel = false;
+		for (const def of defs) {
+			const val = getPath(config, def.path);
+			if (val === undefined) {
+				continue;
+			}
+			if (!channel) {
+				await this.adapter.ensureChannel(base, this.adapter.tName('Settings'));
+				channel = true;
+			}
+
+			const sid = `${base}.${def.id}`;
+			/** @type {Record<string, any>} */
+			const common = {
+				name: this.adapter.tName(def.name),
+				type: def.type,
+				role: def.type === 'boolean' ? 'switch' : def.type === 'number' ? 'level' : 'text',
+				read: true,
+				write: true,
+			};
+			if (def.unit) {
+				common.unit = def.unit;
+			}
+			if (def.min !== undefined) {
+				common.min = def.min;
+			}
+			if (def.max !== undefined) {
+				common.max = def.max;
+			}
+			if (def.states) {
+				common.states = def.states;
+			}
+			await this.adapter.ensureState(sid, common);
+
+			this.confirmed.set(sid, val);
+			await this.adapter.writeState(sid, { val, ack: true });
+		}
+	}
+
+	/**
+	 * @param {string} id - state ID below the namespace
+	 * @param {import('./appliances').ApplianceRef} ref - appliance the state belongs to
+	 * @returns {boolean} true if the state is a setting of the appliance, not e.g. `raw.settings.*`
+	 */
+	static isSetting(id, ref) {
+		const base = `${ref.objectId}.settings.`;
+		return id.startsWith(base) && !id.slice(base.length).includes('.');
+	}
+
+	/**
+	 * Validate a written setting and send it to the cloud.
+	 *
+	 * @param {import('./appliances').ApplianceRef} ref - appliance
+	 * @param {string} id - full state ID of the setting
+	 * @param {ioBroker.StateValue} value - requested value
+	 */
+	async write(ref, id, value) {
+		const key = id.split('.').pop();
+		const sid = `${ref.objectId}.settings.${key}`;
+		const def = (SETTINGS[ref.type] || []).find(d => d.id === key);
+
+		try {
+			if (!def) {
+				throw new Error(this.adapter.t('Setting %s is not supported for %s', key, ref.type));
+			}
+			const val = this.validate(def, value);
+
+			const appliance = await this.api.getAppliance(ref);
+			const config = appliance?.config;
+			if (!config || typeof config !== 'object') {
+				throw new Error(this.adapter.t('Appliance configuration not available'));
+			}
+			if (!setPath(config, def.path, val)) {
+				throw new Error(this.adapter.t('Setting %s missing in the appliance configuration', def.path));
+			}
+			for (const path of def.alsoPaths || []) {
+				setPath(config, path, val);
+			}
+
+			const saved = await this.api.updateApplianceConfig(ref, appliance, config);
+			const confirmed = getPath(saved?.config || config, def.path);
+
+			this.confirmed.set(sid, confirmed);
+			await this.adapter.writeState(sid, { val: confirmed, ack: true });
+			this.adapter.log.info(this.adapter.t('%s: setting %s = %s', ref.name, key, confirmed));
+		} catch (e) {
+			this.adapter.log.error(this.adapter.t('%s: setting %s not applied: %s', ref.name, key, e.message));
+			if (this.confirmed.has(sid)) {
+				await this.adapter.writeState(sid, { val: this.confirmed.get(sid), ack: true });
+			}
+		}
+	}
+
+	/**
+	 * @param {SettingDef} def - setting definition
+	 * @param {ioBroker.StateValue} value - requested value
+	 * @returns {number|boolean|string} value converted to the setting type
+	 */
+	validate(def, value) {
+		const name = this.adapter.t(def.name);
+		if (def.type === 'boolean') {
+			return value === true || value === 'true' || value === 1;
+		}
+		if (def.type === 'string') {
+			const s = String(value ?? '').trim();
+			if (/^quiet_time\.(start|end)$/.test(def.path) && !/^([01]\d|2[0-3]):[0-5]\d$/.test(s)) {
+				throw new Error(this.adapter.t('%s: format HH:MM expected', name));
+			}
+			return s;
+		}
+
+		const n = Number(value);
+		if (!Number.isFinite(n)) {
+			throw new Error(this.adapter.t('%s: number expected', name));
+		}
+		if ((def.min !== undefined && n < def.min) || (def.max !== undefined && n > def.max)) {
+			throw new Error(this.adapter.t('%s: allowed %s', name, `${def.min ?? '-∞'} … ${def.max ?? '∞'}`));
+		}
+		if (def.states && !(String(n) in def.states)) {
+			throw new Error(this.adapter.t('%s: allowed %s', name, Object.keys(def.states).join(', ')));
+		}
+		return n;
+	}
+}
+
+module.exports = GroheSettings;
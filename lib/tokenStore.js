@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const FILE_NAME = 'tokens.json';
+
+/**
+ * Refresh tokens per account, encrypted with the system secret in the instance data
+ * directory. Unlike the instance config, writing here does not restart the adapter, so
+ * tokens can rotate as often as Grohe wants.
+ */
+class GroheTokenStore {
+	/**
+	 * @param {any} adapter - adapter instance (needs encrypt/decrypt, log and t)
+	 * @param {string} dir - storage directory, the instance data dir
+	 */
+	constructor(adapter, dir) {
+		this.adapter = adapter;
+		this.dir = dir;
+		this.file = path.join(this.dir, FILE_NAME);
+
+		/**
+		 * account id → encrypted refresh token
+		 *
+		 * @type {Record<string, string>}
+		 */
+		this.tokens = {};
+
+		/** @type {Promise<void>} */
+		this.writeChain = Promise.resolve();
+	}
+
+	async load() {
+		try {
+			const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+			this.tokens = data?.tokens && typeof data.tokens === 'object' ? data.tokens : {};
+		} catch (e) {
+			if (e.code !== 'ENOENT') {
+				this.adapter.log.warn(this.adapter.t('Token store not readable, starting empty: %s', e.message));
+			}
+			this.tokens = {};
+		}
+	}
+
+	/**
+	 * @param {string} account - account id
+	 * @returns {string} refresh token, '' if none is stored
+	 */
+	get(account) {
+		const enc = this.tokens[account];
+		if (!enc) {
+			return '';
+		}
+		try {
+			return this.adapter.decrypt(enc);
+		} catch {
+			return '';
+		}
+	}
+
+	/**
+	 * @param {string} account - account id
+	 * @param {string} token - refresh token, '' removes it
+	 * @returns {Promise<boolean>} false if the token was already stored
+	 */
+	async set(account, token) {
+		if (this.get(account) === token) {
+			return false;
+		}
+		if (token) {
+			this.tokens[account] = this.adapter.encrypt(token);
+		} else {
+			delete this.tokens[account];
+		}
+		await this.save();
+		return true;
+	}
+
+	/**
+	 * Write the file; writes are serialized and replace the file atomically.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	save() {
+		const content = JSON.stringify({ version: 1, tokens: this.tokens }, null, 2);
+		this.writeChain = this.writeChain
+			.catch(() => undefined)
+			.then(async () => {
+				await fs.mkdir(this.dir, { recursive: true });
+				const tmp = `${this.file}.tmp`;
+				await fs.writeFile(tmp, content, { encoding: 'utf8', mode: 0o600 });
+				await fs.rename(tmp, this.file);
+			});
+		return this.writeChain;
+	}
+}
+
+module.exports = GroheTokenStore;
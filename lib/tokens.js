@@ -0,0 +1,360 @@
+'use strict';
+
+const GroheLogin = require('./login');
+const { generateTotp } = require('./otp');
+
+/** Renew the access token this long before it expires */
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+/** Used when the access token carries no readable expiry */
+const DEFAULT_LIFETIME_MS = 60 * 60 * 1000;
+/** Retry delay after a failed renewal */
+const RETRY_DELAY_MS = 2 * 60 * 1000;
+/** How long a paused login waits for the code in `info.otpCode` */
+const OTP_WAIT_MS = 5 * 60 * 1000;
+/** Error codes of a rejected login: the user has to fix the credentials, retrying does not help */
+const AUTH_ERROR_CODES = ['AUTH_FAILED', 'INVALID_REFRESH_TOKEN', 'NO_REFRESH_TOKEN', 'OTP_TIMEOUT'];
+
+/**
+ * Decode the `exp` claim of a JWT access token.
+ *
+ * @param {string|null} token - JWT
+ * @returns {number|null} expiry as epoch milliseconds, null if not decodable
+ */
+function decodeJwtExpiry(token) {
+	const parts = String(token || '').split('.');
+	if (parts.length < 2) {
+		return null;
+	}
+	try {
+		const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+		const exp = Number(payload?.exp);
+		return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Keeps the token pair of a GroheApi alive: refreshes ahead of expiry on a timer
+ * and falls back to a full web login when the refresh token is rejected.
+ */
+class GroheTokenManager {
+	/**
+	 * @param {any} adapter - adapter instance (needs writeState, log, t and persistRefreshTokenIfChanged)
+	 * @param {import('./api')} api - API client whose tokens are managed
+	 * @param {{ email?: string, password?: string, totpSecret?: string, debug?: boolean, account?: string, infoPrefix?: string }} [opts] - credentials for the web login fallback; totpSecret generates the 2FA code, without it the login waits for `info.otpCode`; account/infoPrefix: owning account and its info channel
+	 */
+	constructor(adapter, api, opts) {
+		this.adapter = adapter;
+		this.api = api;
+		this.account = opts?.account;
+		this.infoPrefix = opts?.infoPrefix || 'info';
+		this.email = opts?.email || '';
+		this.password = opts?.password || '';
+		this.totpSecret = String(opts?.totpSecret || '').trim();
+		this.debug = !!opts?.debug;
+
+		/**
+		 * Paused login waiting for a one-time code
+		 *
+		 * @type {{ resolve: (code: string) => void, reject: (err: Error) => void }|null}
+		 */
+		this.otpWaiter = null;
+
+		/** @type {NodeJS.Timeout|null} */
+		this.timer = null;
+
+		/** @type {Promise<void>|null} */
+		this.pending = null;
+
+		/** @type {number|null} */
+		this.expiresAt = null;
+
+		this.stopped = false;
+
+		// 401 responses inside GroheApi.request() go through the same renewal path
+		this.api.refreshHandler = () => this.renew();
+	}
+
+	/**
+	 * @returns {boolean} true if a web login can be done without user interaction
+	 */
+	hasCredentials() {
+		return !!(this.email && this.password);
+	}
+
+	/**
+	 * Forget the password (e.g. after it was removed from the config).
+	 */
+	dropCredentials() {
+		this.password = '';
+	}
+
+	/**
+	 * @param {any} err - error of init() or a renewal
+	 * @returns {boolean} true if the login was rejected, false for network/server problems
+	 */
+	static isAuthError(err) {
+		return AUTH_ERROR_CODES.includes(err?.code);
+	}
+
+	/**
+	 * Initial authentication: saved refresh token first, web login as fallback.
+	 *
+	 * @param {string} [savedRefresh] - refresh token from a previous run
+	 * @returns {Promise<'refresh'|'web_login'>} how the session was obtained
+	 */
+	async init(savedRefresh) {
+		let method = /** @type {'refresh'|'web_login'} */ ('refresh');
+		if (savedRefresh) {
+			await this.setStep('refresh_with_saved_token');
+			this.api.setRefreshToken(savedRefresh);
+
+			try {
+				await this.refresh();
+			} catch (e) {
+				this.adapter.log.warn(
+					this.adapter.t('Refresh with the saved token failed, trying web login: %s', e.message),
+				);
+			}
+		}
+
+		if (!this.api.accessToken) {
+			if (!this.hasCredentials()) {
+				/** @type {Error & { code?: string }} */
+				const err = new Error(
+					this.adapter.t('Please set email/password in the adapter settings (for the automatic login).'),
+				);
+				err.code = 'AUTH_FAILED';
+				throw err;
+			}
+			await this.webLogin();
+			method = 'web_login';
+		}
+
+		this.schedule();
+		return method;
+	}
+
+	/**
+	 * Renew the access token. Concurrent callers share one renewal.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	renew() {
+		if (!this.pending) {
+			this.pending = this._renew().finally(() => {
+				this.pending = null;
+			});
+		}
+		return this.pending;
+	}
+
+	async _renew() {
+		let failed = false;
+		try {
+			try {
+				await this.refresh();
+			} catch (e) {
+				if (e?.code !== 'INVALID_REFRESH_TOKEN' && e?.code !== 'NO_REFRESH_TOKEN') {
+					throw e;
+				}
+				if (!this.hasCredentials()) {
+					/** @type {Error & { code?: string }} */
+					const err = new Error(
+						this.adapter.t(
+							'Refresh token invalid and no credentials stored (keepPassword) – please log in again.',
+						),
+					);
+					err.code = e.code;
+					throw err;
+				}
+				this.adapter.log.warn(this.adapter.t('Refresh token expired, logging in again: %s', e.message));
+				await this.webLogin();
+			}
+			await this.setStep('ready');
+		} catch (e) {
+			failed = true;
+			await this.setInvalid(e);
+			throw e;
+		} finally {
+			this.schedule(failed ? RETRY_DELAY_MS : undefined);
+		}
+	}
+
+	async refresh() {
+		const { refreshToken } = await this.api.refresh();
+		await this.adapter.persistRefreshTokenIfChanged(refreshToken, this.account);
+		await this.setValid();
+	}
+
+	async webLogin() {
+		await this.setStep('web_login_start');
+		const login = new GroheLogin(this.adapter, {
+			debug: this.debug,
+			baseUrl: this.api.baseUrl,
+			otp: () => this.requestOtp(),
+		});
+
+		const tokens = await login.login(this.email, this.password);
+
+		await this.setStep('web_login_tokens_received');
+		await this.applyTokens(tokens);
+	}
+
+	/**
+	 * Log in with the ondus:// redirect URL of a login done by the user in a browser.
+	 *
+	 * @param {string} redirectUrl - ondus:// URL copied from the browser
+	 */
+	async manualLogin(redirectUrl) {
+		await this.setStep('manual_login');
+		const login = new GroheLogin(this.adapter, { debug: this.debug, baseUrl: this.api.baseUrl });
+		try {
+			await this.applyTokens(await login.exchangeRedirectUrl(redirectUrl));
+		} catch (e) {
+			await this.setInvalid(e);
+			throw e;
+		}
+		await this.setStep('ready');
+		this.schedule();
+	}
+
+	/**
+	 * @param {{ access_token: string, refresh_token: string }} tokens - token response of a login
+	 */
+	async applyTokens(tokens) {
+		this.api.setAccessToken(tokens.access_token);
+		this.api.setRefreshToken(tokens.refresh_token);
+
+		await this.adapter.persistRefreshTokenIfChanged(tokens.refresh_token, this.account);
+		await this.setValid();
+	}
+
+	/**
+	 * One-time code for a 2FA login: generated from the TOTP secret, or entered by the user
+	 * in `info.otpCode` while the login waits.
+	 *
+	 * @returns {Promise<string>} code
+	 */
+	async requestOtp() {
+		if (this.totpSecret) {
+			await this.setStep('otp_generated');
+			try {
+				return generateTotp(this.totpSecret);
+			} catch (e) {
+				throw new Error(this.adapter.t(e.message));
+			}
+		}
+
+		await this.setStep('otp_required');
+		await this.adapter.writeState(`${this.infoPrefix}.otpRequired`, { val: true, ack: true });
+		this.adapter.log.warn(
+			this.adapter.t(
+				'Grohe asks for a one-time code (2FA): please enter it in %s within %s min',
+				`${this.infoPrefix}.otpCode`,
+				OTP_WAIT_MS / 60000,
+			),
+		);
+
+		try {
+			return await new Promise((resolve, reject) => {
+				const timer = setTimeout(() => {
+					this.otpWaiter = null;
+					/** @type {Error & { code?: string }} */
+					const err = new Error(this.adapter.t('No OTP code entered'));
+					err.code = 'OTP_TIMEOUT';
+					reject(err);
+				}, OTP_WAIT_MS);
+				this.otpWaiter = {
+					resolve: code => {
+						clearTimeout(timer);
+						this.otpWaiter = null;
+						resolve(code);
+					},
+					reject: err => {
+						clearTimeout(timer);
+						this.otpWaiter = null;
+						reject(err);
+					},
+				};
+			});
+		} finally {
+			await this.adapter.writeState(`${this.infoPrefix}.otpRequired`, { val: false, ack: true });
+		}
+	}
+
+	/**
+	 * Resume a login that waits for a one-time code.
+	 *
+	 * @param {unknown} code - code entered by the user
+	 * @returns {boolean} false if no login was waiting
+	 */
+	submitOtp(code) {
+		const clean = String(code ?? '').replace(/\s+/g, '');
+		if (!this.otpWaiter || !clean) {
+			return false;
+		}
+		this.otpWaiter.resolve(clean);
+		return true;
+	}
+
+	/**
+	 * Arm the timer for the next proactive renewal.
+	 *
+	 * @param {number} [delayMs] - fixed delay instead of the one derived from the token expiry
+	 */
+	schedule(delayMs) {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+		if (this.stopped) {
+			return;
+		}
+
+		let delay = delayMs ?? RETRY_DELAY_MS;
+		if (delayMs === undefined && this.api.accessToken) {
+			this.expiresAt = decodeJwtExpiry(this.api.accessToken) ?? Date.now() + DEFAULT_LIFETIME_MS;
+			delay = Math.max(30 * 1000, this.expiresAt - Date.now() - REFRESH_MARGIN_MS);
+		}
+
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.renew().catch(err => this.adapter.log.error(this.adapter.t('Token renewal failed: %s', err.message)));
+		}, delay);
+
+		this.adapter.log.debug(`Next token renewal in ${Math.round(delay / 1000)}s`);
+	}
+
+	stop() {
+		this.stopped = true;
+		if (this.otpWaiter) {
+			this.otpWaiter.reject(new Error(this.adapter.t('Adapter is stopping')));
+		}
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+	}
+
+	async setStep(step) {
+		await this.adapter.writeState(`${this.infoPrefix}.loginStep`, { val: step, ack: true });
+	}
+
+	async setValid() {
+		await this.adapter.writeState(`${this.infoPrefix}.tokenValid`, { val: true, ack: true });
+		await this.adapter.writeState(`${this.infoPrefix}.tokenError`, { val: '', ack: true });
+	}
+
+	async setInvalid(err) {
+		await this.adapter.writeState(`${this.infoPrefix}.tokenValid`, { val: false, ack: true });
+		await this.adapter.writeState(`${this.infoPrefix}.tokenError`, {
+			val: String(err?.code || err?.message || err),
+			ack: true,
+		});
+		await this.setStep('error');
+	}
+}
+
+module.exports = GroheTokenManager;
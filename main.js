@@ -1,13 +1,52 @@
 'use strict';
 
 const utils = require('@iobroker/adapter-core');
-const GroheApi = require('./lib/api');
+const GroheHistory = require('./lib/history');
+const GroheJournal = require('./lib/journal');
 const GroheLogin = require('./lib/login');
+const GroheLeakRules = require('./lib/rules');
+const GroheSettings = require('./lib/settings');
+const GroheStateCache = require('./lib/cache');
+const GroheTokenManager = require('./lib/tokens');
+const GroheTokenStore = require('./lib/tokenStore');
+const {
+	GroheAccount,
+	accountsFromConfig,
+	accountIdFor,
+	decryptAccountRows,
+	encryptAccountRows,
+	MAIN_ACCOUNT,
+} = require('./lib/account');
+const { applianceKey, applianceRows, normalizeAppliance } = require('./lib/appliances');
+const { GroheWaterMeter } = require('./lib/meter');
+const { generateTotp } = require('./lib/otp');
+const { flattenRaw } = require('./lib/raw');
+const { schemaFor, fieldFor, commonFor, valueFor } = require('./lib/schema');
 
 /**
  * @typedef {Error & { code?: string }} ErrorWithCode
  */
 
+/**
+ * @typedef {import('./lib/appliances').ApplianceRef} ApplianceRef
+ */
+
+/** Object IDs at the root of an account that are not available for locations */
+const RESERVED_ROOT_IDS = ['info', 'alarms', 'rules', 'accounts'];
+
+/** First delay before a failed account start is retried, doubled after each failure */
+const START_RETRY_MS = 60 * 1000;
+/** Longest delay between start attempts */
+const START_RETRY_MAX_MS = 30 * 60 * 1000;
+
+/** Pressure measurements are read this often; they only change when a measurement runs */
+const PRESSURE_READ_MS = 60 * 60 * 1000;
+/** After a started measurement they are read on every poll for this long */
+const PRESSURE_WATCH_MS = 15 * 60 * 1000;
+
+/** Parts of a state's common that follow the definition in the code */
+const SYNCED_COMMON = ['type', 'role', 'unit', 'min', 'max', 'states', 'write'];
+
 /**
  * @param {unknown} err
  * @returns {err is ErrorWithCode}
@@ -16,6 +55,18 @@ function hasCode(err) {
 	return typeof err === 'object' && err !== null && 'code' in err;
 }
 
+/**
+ * Origin of a state write for commands and the journal: the writing instance and, if set,
+ * the ioBroker user (admin/vis write as a user, scripts usually do not).
+ *
+ * @param {ioBroker.State} state - written state
+ * @returns {string} e.g. `system.adapter.admin.0 (system.user.admin)`
+ */
+function stateOrigin(state) {
+	const from = state.from || 'state';
+	return state.user ? `${from} (${state.user})` : from;
+}
+
 class GroheSmarthome extends utils.Adapter {
 	/**
 	 * @param {Partial<utils.AdapterOptions>} [options]
@@ -23,379 +74,1608 @@ class GroheSmarthome extends utils.Adapter {
 	constructor(options) {
 		super({ ...options, name: 'grohe-smarthome' });
 
-		/** @type {GroheApi|null} */
-		this.api = null;
+		/**
+		 * account id → account with its own API client, tokens and polling
+		 *
+		 * @type {Map<string, GroheAccount>}
+		 */
+		this.accounts = new Map();
+
+		/** @type {GroheLeakRules|null} */
+		this.rules = null;
 
 		/** @type {NodeJS.Timeout|null} */
-		this.pollTimer = null;
+		this.historyTimer = null;
+
+		/** @type {GroheTokenStore|null} */
+		this.tokenStore = null;
+
+		/** @type {GroheJournal|null} */
+		this.journal = null;
+
+		/**
+		 * applianceKey → row of the Devices table (enabled, writeEnabled)
+		 *
+		 * @type {Map<string, Record<string, any>>}
+		 */
+		this.applianceOptions = new Map();
+
+		this.cache = new GroheStateCache(this);
+
+		/** update the names of existing objects, set on the first start of a new version */
+		this.syncNames = false;
 
 		this.on('ready', this.onReady.bind(this));
 		this.on('stateChange', this.onStateChange.bind(this));
+		this.on('objectChange', this.onObjectChange.bind(this));
+		this.on('message', this.onMessage.bind(this));
 		this.on('unload', this.onUnload.bind(this));
 	}
 
 	async onReady() {
-		await this.setState('info.connection', { val: false, ack: true });
+		await utils.I18n.init(__dirname, this);
+		await this.cache.load((Number(this.config.stateHeartbeat) || 0) * 60 * 1000);
+		this.syncNames = this.cache.getObject('info')?.native?.namesVersion !== this.version;
+		await this.writeState('info.connection', { val: false, ack: true });
 
-		await this.ensureState('info.tokenValid', {
-			name: 'Token gültig',
-			type: 'boolean',
-			role: 'indicator.working',
-			read: true,
-			write: false,
-		});
-		await this.ensureState('info.tokenError', {
-			name: 'Token Fehler',
-			type: 'string',
-			role: 'text',
-			read: true,
-			write: false,
-		});
-		await this.ensureState('info.loginStep', {
-			name: 'Login Schritt',
-			type: 'string',
-			role: 'text',
-			read: true,
-			write: false,
-		});
+		this.tokenStore = new GroheTokenStore(this, utils.getAbsoluteInstanceDataDir(this));
+		await this.tokenStore.load();
+
+		if (this.config.journalEnabled) {
+			this.journal = new GroheJournal(this, utils.getAbsoluteInstanceDataDir(this), {
+				size: this.config.journalSize,
+			});
+		}
+
+		await this.migrateAccountSecrets();
+		await this.migrateRefreshTokens();
+
+		for (const row of /** @type {Record<string, any>[]} */ (this.config.appliances || [])) {
+			if (row?.applianceId) {
+				this.applianceOptions.set(applianceKey(row.account || MAIN_ACCOUNT, row.applianceId), row);
+			}
+		}
 
-		await this.setState('info.tokenValid', { val: false, ack: true });
-		await this.setState('info.tokenError', { val: '', ack: true });
-		await this.setState('info.loginStep', { val: '', ack: true });
+		// encryptedNative -> config values are plaintext here
+		const store = this.tokenStore;
+		for (const cfg of accountsFromConfig(this.config, this.FORBIDDEN_CHARS, id => store.get(id))) {
+			const account = new GroheAccount(this, cfg);
+			this.accounts.set(account.id, account);
+			await account.initInfo();
+			this.loadIdMap(account);
+		}
 
 		try {
-			this.api = new GroheApi(this);
+			if (this.config.rulesEnabled) {
+				this.rules = new GroheLeakRules(this, this.config.leakRules);
+				await this.rules.init();
+			}
+
+			this.subscribeStates('*');
+			this.subscribeObjects('*');
+
+			if (this.config.historyEnabled) {
+				const historyInterval = Math.max(15, Number(this.config.historyInterval) || 60);
+				this.historyTimer = setInterval(
+					() => {
+						this.importHistory().catch(err => this.log.error(err.message));
+					},
+					historyInterval * 60 * 1000,
+				);
+				this.log.info(this.t('History import active: every %s min', historyInterval));
+			}
+		} catch (err) {
+			this.log.error(this.t('Initialization failed: %s', err.message));
+		}
 
-			// encryptedNative -> config values are plaintext here
-			const email = (this.config.email || '').trim();
-			const password = this.config.password || '';
-			const savedRefresh = String(this.config.refreshToken || '').replace(/\s+/g, '');
-			const debugLogin = !!this.config.debugLogin;
+		// accounts log in and poll independently, a failing or waiting (2FA) login blocks no other
+		await Promise.all([...this.accounts.values()].map(account => this.startAccount(account)));
 
-			// Step 1: try refresh token if present
-			if (savedRefresh) {
-				await this.setState('info.loginStep', { val: 'refresh_with_saved_token', ack: true });
-				this.api.setRefreshToken(savedRefresh);
+		// objects of an account that could not log in keep their old names until the next start
+		if (this.syncNames && [...this.accounts.values()].every(a => a.connected)) {
+			await this.cache.flush();
+			await this.extendObjectAsync('info', { native: { namesVersion: this.version } });
+			this.syncNames = false;
+		}
+	}
 
-				try {
-					const { refreshToken } = await this.api.refresh();
-					await this.persistRefreshTokenIfChanged(refreshToken);
-					await this.setState('info.tokenValid', { val: true, ack: true });
-					await this.setState('info.tokenError', { val: '', ack: true });
-				} catch (e) {
-					this.log.warn(`Refresh mit gespeichertem Token fehlgeschlagen, versuche Web-Login: ${e.message}`);
-				}
+	/**
+	 * Log in, poll the dashboard and start the timers of one account.
+	 *
+	 * @param {GroheAccount} account - account
+	 */
+	async startAccount(account) {
+		try {
+			await account.start();
+			account.startFailures = 0;
+			await this.setConnected(account, true);
+
+			await this.pollDevices(account);
+			const interval = Math.max(60, Number(this.config.pollInterval) || 300);
+
+			// full dashboard: new/removed appliances, rooms, locations
+			account.pollTimer = setInterval(() => {
+				this.pollDevices(account).catch(err => this.log.error(err.message));
+			}, interval * 1000);
+
+			// single appliances in between, depending on their activity
+			account.scheduler?.start(applianceId => this.pollAppliance(account, applianceId));
+
+			this.log.info(
+				this.t('%s: polling active, overview every %s s, appliances adaptive', account.name, interval),
+			);
+
+			if (account.history) {
+				await this.importHistory(account);
+			}
+		} catch (err) {
+			await this.handleInitError(account, err);
+		}
+	}
+
+	/**
+	 * Track the connection of an account; `info.connection` is only true while all accounts are connected.
+	 *
+	 * @param {GroheAccount} account - account
+	 * @param {boolean} connected - dashboard reachable
+	 */
+	async setConnected(account, connected) {
+		const changed = account.connected !== connected;
+		await account.setConnected(connected);
+		if (changed) {
+			for (const ref of account.appliances.values()) {
+				await this.journalEvent(ref, {
+					type: connected ? 'connected' : 'disconnected',
+					text: this.t(connected ? 'Connection to Grohe established' : 'Connection to Grohe lost'),
+				});
 			}
+		}
+		const all = [...this.accounts.values()].every(a => a.connected);
+		await this.writeState('info.connection', { val: all, ack: true });
+	}
+
+	/**
+	 * @param {GroheAccount} account - account whose dashboard is read
+	 */
+	async pollDevices(account) {
+		const api = account.api;
+		if (!api) {
+			return;
+		}
+		if (api.isBlocked()) {
+			this.log.debug(`${account.name}: polling skipped, Grohe API paused`);
+			return;
+		}
 
-			// Step 2: full web login
-			if (!this.api.accessToken) {
-				if (!email || !password) {
-					throw new Error(
-						'Bitte E-Mail/Passwort in den Adapter-Einstellungen setzen (für automatischen Login).',
-					);
+		try {
+			const dashboard = await api.getDashboard();
+
+			await this.setConnected(account, true);
+
+			/** @type {Record<string, Set<string>>} */
+			const seen = { location: new Set(), room: new Set(), appliance: new Set() };
+			for (const location of dashboard.locations || []) {
+				seen.location.add(String(location.id));
+				const locationOid = await this.ensureLocation(account, location);
+				for (const room of location.rooms || []) {
+					seen.room.add(String(room.id));
+					const roomOid = await this.ensureRoom(account, locationOid, room);
+					for (const app of room.appliances || []) {
+						seen.appliance.add(String(app.appliance_id));
+						if (this.applianceOption(account.id, app.appliance_id).enabled === false) {
+							// disabled in the Devices table: keep the objects, but do not read or update them
+							const oid = account.idMap.get(`appliance:${app.appliance_id}`);
+							if (oid) {
+								await this.setAvailable(account, String(app.appliance_id), oid, false);
+							}
+							continue;
+						}
+						await this.updateDevice(account, normalizeAppliance(app, location, room), roomOid);
+					}
 				}
+			}
 
-				await this.setState('info.loginStep', { val: 'web_login_start', ack: true });
-				const login = new GroheLogin(this, { debug: debugLogin });
+			if (Array.isArray(dashboard.locations)) {
+				await this.reconcileObjects(account, seen);
+			}
+			await this.cache.flush();
 
-				const tokens = await login.login(email, password);
+			if (this.rules) {
+				await this.rules.evaluate();
+			}
+		} catch (err) {
+			await this.setConnected(account, false);
+			this.log.error(this.t('%s: reading the overview failed: %s', account.name, err.message));
+		}
+	}
 
-				await this.setState('info.loginStep', { val: 'web_login_tokens_received', ack: true });
+	/**
+	 * Flag locations, rooms and appliances that are no longer part of the account and delete
+	 * them once they have been missing longer than `staleDeleteHours` (0 = keep forever).
+	 *
+	 * @param {GroheAccount} account - account the dashboard belongs to
+	 * @param {Record<string, Set<string>>} seen - Grohe IDs per kind from the last dashboard
+	 */
+	async reconcileObjects(account, seen) {
+		const graceMs = Math.max(0, Number(this.config.staleDeleteHours) || 0) * 3600 * 1000;
+		const now = Date.now();
 
-				this.api.setAccessToken(tokens.access_token);
-				this.api.setRefreshToken(tokens.refresh_token);
+		if (account.id === MAIN_ACCOUNT) {
+			await this.removeLegacyDevices(seen.appliance);
+		}
 
-				await this.persistRefreshTokenIfChanged(tokens.refresh_token);
+		for (const [oid, obj] of [...this.cache.objects]) {
+			const kind = obj.native?.kind;
+			const groheId = obj.native?.groheId;
+			if (!seen[kind] || groheId === undefined || groheId === null || !account.owns(obj)) {
+				continue;
+			}
 
-				// Option: clear password after success (safer)
-				if (!this.config.keepPassword) {
-					await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, {
-						native: {
-							...this.config,
-							password: '',
-						},
-					});
-					this.log.info(
-						'Passwort wurde nach erfolgreichem Login aus der Config entfernt (keepPassword=false).',
-					);
+			if (seen[kind].has(String(groheId))) {
+				if (obj.native.missingSince) {
+					this.log.info(this.t('%s is part of the Grohe account again', obj.common?.name || oid));
+					await this.extendObjectAsync(oid, { native: { missingSince: null } });
+					this.cache.putObject(oid, { native: { missingSince: null } });
 				}
-
-				await this.setState('info.tokenValid', { val: true, ack: true });
-				await this.setState('info.tokenError', { val: '', ack: true });
+				continue;
 			}
 
-			await this.setState('info.loginStep', { val: 'ready', ack: true });
-			await this.setState('info.connection', { val: true, ack: true });
+			const since = Number(obj.native.missingSince) || now;
+			if (!obj.native.missingSince) {
+				this.log.warn(this.t('%s is no longer part of the Grohe account', obj.common?.name || oid));
+				await this.extendObjectAsync(oid, { native: { missingSince: since } });
+				this.cache.putObject(oid, { native: { missingSince: since } });
+			}
 
-			await this.pollDevices();
-			const interval = Math.max(60, Number(this.config.pollInterval) || 300);
+			if (kind === 'appliance') {
+				await this.setAvailable(account, String(groheId), oid, false);
+				account.appliances.delete(String(groheId));
+				if (account.scheduler) {
+					account.scheduler.forget(String(groheId));
+				}
+				if (account.notifications) {
+					await account.notifications.forget(String(groheId));
+				}
+			}
 
-			this.pollTimer = setInterval(() => {
-				this.pollDevices().catch(err => this.log.error(err.message));
-			}, interval * 1000);
+			if (graceMs && now - since >= graceMs) {
+				this.log.info(
+					this.t('%s is deleted (removed since %s)', obj.common?.name || oid, new Date(since).toISOString()),
+				);
+				await this.delObjectAsync(oid, { recursive: true });
+				this.cache.removeObject(oid);
+				account.idMap.delete(`${kind}:${groheId}`);
+			}
+		}
+	}
 
-			this.log.info(`Polling aktiv: alle ${interval}s`);
-		} catch (err) {
-			await this.handleInitError(err);
+	/**
+	 * Delete the device objects of versions before the location → room → appliance tree; they
+	 * sat at the instance root, named by appliance_id, and would show every appliance twice.
+	 *
+	 * @param {Set<string>} applianceIds - appliance_ids of the main account's dashboard
+	 */
+	async removeLegacyDevices(applianceIds) {
+		const legacyIds = new Set([...applianceIds].map(id => id.replace(this.FORBIDDEN_CHARS, '_')));
+		for (const [oid, obj] of [...this.cache.objects]) {
+			if (obj.type !== 'device' || obj.native?.kind || oid.includes('.') || !legacyIds.has(oid)) {
+				continue;
+			}
+			this.log.info(this.t('%s: device object of an older version deleted', oid));
+			await this.delObjectAsync(oid, { recursive: true });
+			this.cache.removeObject(oid);
 		}
 	}
 
-	async pollDevices() {
-		if (!this.api) {
+	/**
+	 * Poll a single appliance (adaptive interval or refreshNow).
+	 *
+	 * @param {GroheAccount} account - account of the appliance
+	 * @param {string} applianceId - appliance_id
+	 */
+	async pollAppliance(account, applianceId) {
+		const ref = account.appliances.get(applianceId);
+		if (!ref) {
+			account.scheduler?.forget(applianceId);
+			return;
+		}
+		if (!account.api || account.api.isBlocked()) {
 			return;
 		}
 
-		try {
-			const resp = await this.api.request({
-				method: 'GET',
-				url: 'https://api.grohe-iot.com/v1/devices',
-			});
+		const details = await account.api.getApplianceDetails(ref);
+		const dev = normalizeAppliance(
+			{ name: ref.name, ...details, appliance_id: applianceId },
+			{ id: ref.locationId },
+			{ id: ref.roomId },
+		);
+		await this.updateDevice(account, dev, ref.objectId.split('.').slice(0, -1).join('.'));
+
+		if (this.rules) {
+			await this.rules.evaluate();
+		}
+	}
 
-			await this.setState('info.connection', { val: true, ack: true });
+	/**
+	 * @param {ApplianceRef} ref - appliance
+	 * @param {Record<string, any>} dev - normalized appliance
+	 * @returns {boolean} true while water flows or an alarm is present
+	 */
+	isActive(ref, dev) {
+		const d = dev.data_latest || {};
+		if (Number(d.flow_rate) > 0 || d.leak_detected === true) {
+			return true;
+		}
+		const notifications = this.accountOf(ref)?.notifications;
+		return !!notifications?.active.get(ref.applianceId)?.some(n => n.category >= 20);
+	}
+
+	/**
+	 * @param {GroheAccount} [only] - import just this account, default all
+	 */
+	async importHistory(only) {
+		for (const account of only ? [only] : this.accounts.values()) {
+			if (!account.history || !account.api || account.api.isBlocked()) {
+				continue;
+			}
 
-			for (const dev of resp.data?.devices || []) {
-				await this.updateDevice(dev);
+			for (const ref of account.appliances.values()) {
+				if (!GroheHistory.supports(ref.type)) {
+					continue;
+				}
+				const location = this.cache.getObject(account.idMap.get(`location:${ref.locationId}`) || '');
+				try {
+					await account.history.update(ref, location?.native);
+				} catch (err) {
+					this.log.warn(this.t('History import for %s failed: %s', ref.name, err.message));
+				}
 			}
-		} catch (err) {
-			await this.setState('info.connection', { val: false, ack: true });
-			this.log.error(`pollDevices fehlgeschlagen: ${err.message}`);
 		}
 	}
 
-	async persistRefreshTokenIfChanged(newToken) {
+	/**
+	 * Keep a rotated refresh token in the token store; unlike the instance config this does
+	 * not restart the adapter.
+	 *
+	 * @param {string} newToken - refresh token after a refresh or login
+	 * @param {string} [accountId] - owning account, default the main account
+	 */
+	async persistRefreshTokenIfChanged(newToken, accountId = MAIN_ACCOUNT) {
 		const nt = String(newToken || '').replace(/\s+/g, '');
-		if (!nt) {
+		if (!nt || !this.tokenStore) {
 			return;
 		}
 
-		const current = String(this.config.refreshToken || '').replace(/\s+/g, '');
-		if (current === nt) {
-			return;
+		const account = this.accounts.get(accountId);
+		if (account) {
+			account.cfg.refreshToken = nt;
+		}
+		if (await this.tokenStore.set(accountId, nt)) {
+			this.log.debug(`${account?.name || accountId}: refresh token saved`);
 		}
+	}
 
+	/**
+	 * Decrypt the secrets of the `accounts` table for this run. Rows of older versions hold them
+	 * in plain text; they are written back encrypted, which restarts the adapter once.
+	 */
+	async migrateAccountSecrets() {
+		if (!Array.isArray(this.config.accounts)) {
+			return;
+		}
+		const { rows, plain } = decryptAccountRows(this.config.accounts, v => this.decrypt(v));
+		this.config.accounts = /** @type {any} */ (rows);
+		if (!plain) {
+			return;
+		}
 		await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, {
-			native: {
-				...this.config,
-				refreshToken: nt,
-			},
+			native: { accounts: encryptAccountRows(rows, v => this.encrypt(v)) },
 		});
+		this.log.info(this.t('Passwords of additional accounts are now stored encrypted'));
+	}
+
+	/**
+	 * Take refresh tokens of older versions out of the instance config into the token store.
+	 * Clearing them in the config restarts the adapter once; afterwards the store is used.
+	 */
+	async migrateRefreshTokens() {
+		if (!this.tokenStore) {
+			return;
+		}
+
+		/** @type {{ id: string, token: string }[]} */
+		const legacy = [];
+		const clean = v => String(v || '').replace(/\s+/g, '');
+		if (clean(this.config.refreshToken)) {
+			legacy.push({ id: MAIN_ACCOUNT, token: clean(this.config.refreshToken) });
+		}
+		/** @type {Record<string, any>[]} */
+		const rows = Array.isArray(this.config.accounts) ? this.config.accounts : [];
+		for (const row of rows) {
+			if (row?.email && clean(row.refreshToken)) {
+				legacy.push({ id: accountIdFor(row.email, this.FORBIDDEN_CHARS), token: clean(row.refreshToken) });
+			}
+		}
+		if (!legacy.length) {
+			return;
+		}
+
+		for (const { id, token } of legacy) {
+			if (!this.tokenStore.get(id)) {
+				await this.tokenStore.set(id, token);
+			}
+		}
+		this.log.info(this.t('Refresh tokens moved from the instance config to the token store'));
+		for (const { id } of legacy) {
+			await this.updateAccountConfig(id, { refreshToken: '' });
+		}
+	}
+
+	/**
+	 * Change credentials of an account in the instance config: top-level keys for the main
+	 * account, the matching row of the `accounts` table otherwise. ioBroker restarts the
+	 * adapter afterwards, so this is only for one-time changes.
+	 *
+	 * @param {string} accountId - account
+	 * @param {Record<string, any>} patch - changed values
+	 */
+	async updateAccountConfig(accountId, patch) {
+		if (accountId === MAIN_ACCOUNT) {
+			Object.assign(this.config, patch);
+			await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, { native: patch });
+			return;
+		}
 
-		this.log.info('Refresh Token gespeichert/aktualisiert');
+		/** @type {Record<string, any>[]} */
+		const rows = Array.isArray(this.config.accounts) ? this.config.accounts : [];
+		const row = rows.find(r => r?.email && accountIdFor(r.email, this.FORBIDDEN_CHARS) === accountId);
+		if (!row) {
+			return;
+		}
+		Object.assign(row, patch);
+		await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, {
+			native: { accounts: encryptAccountRows(rows, v => this.encrypt(v)) },
+		});
 	}
 
 	/* ===================== Device mapping ===================== */
 
-	async updateDevice(dev) {
+	/**
+	 * @param {GroheAccount} account - account of the appliance
+	 * @param {Record<string, any>} dev - normalized appliance
+	 * @param {string} parentOid - object ID of the room
+	 */
+	async updateDevice(account, dev, parentOid) {
 		const id = dev.appliance_id || dev.id || dev.device_id;
 		if (!id) {
-			this.log.debug('Device ohne appliance_id erhalten – übersprungen');
+			this.log.debug('Appliance without appliance_id received – skipped');
 			return;
 		}
 
-		switch (dev.appliance_type) {
-			case 'SENSE':
-				return this.updateSense(dev);
-			case 'SENSE_GUARD':
-				return this.updateSenseGuard(dev);
-			case 'BLUE_HOME':
-			case 'BLUE_PRO':
-				return this.updateBlue(dev);
-			default:
-				await this.ensureDevice(id, dev.name || 'Grohe Device', dev.appliance_type || 'UNKNOWN');
-				await this.writeRawLatest(id, dev.data_latest || {});
-				this.log.debug(`Unbekannter Gerätetyp: ${dev.appliance_type}`);
+		dev.objectId = this.objectIdFor(account, 'appliance', id, parentOid, dev.name);
+		/** @type {ApplianceRef} */
+		const ref = {
+			applianceId: id,
+			locationId: dev.location_id,
+			roomId: dev.room_id,
+			type: dev.appliance_type,
+			name: dev.name || id,
+			objectId: dev.objectId,
+			account: account.id,
+			lastSeen: Date.now(),
+		};
+		account.appliances.set(id, ref);
+
+		const schema = schemaFor(dev.appliance_type);
+		if (schema) {
+			await this.ensureDevice(account, dev.objectId, dev.name || schema.name, dev.appliance_type, dev);
+			for (const [channel, name] of Object.entries(schema.channels || {})) {
+				await this.ensureChannel(`${dev.objectId}.${channel}`, this.tName(name));
+			}
+			for (const field of schema.fields) {
+				const sid = `${dev.objectId}.${field.id}`;
+				await this.ensureState(sid, this.localizedCommon(field));
+				const val = valueFor(field, dev);
+				if (val !== undefined) {
+					await this.journalChange(account, ref, field.id, this.cache.getValue(sid), val);
+					await this.writeState(sid, { val, ack: true });
+				}
+			}
+			if (ref.type === 'SENSE_GUARD') {
+				await this.updatePressureMeasurement(account, ref);
+			}
+			if (account.meter && GroheWaterMeter.supports(ref.type)) {
+				const location = this.cache.getObject(account.idMap.get(`location:${ref.locationId}`) || '');
+				try {
+					await account.meter.update(ref, dev, location?.native);
+				} catch (err) {
+					this.log.warn(this.t('Water meter for %s failed: %s', ref.name, err.message));
+				}
+			}
+		} else {
+			await this.ensureDevice(
+				account,
+				dev.objectId,
+				dev.name || 'Grohe Device',
+				dev.appliance_type || 'UNKNOWN',
+				dev,
+			);
+			this.log.debug(`Unknown appliance type: ${dev.appliance_type}`);
+		}
+		await this.writeRawLatest(dev.objectId, dev.raw_data_latest || {});
+
+		if (account.settings) {
+			await account.settings.update(ref, dev.config);
+		}
+
+		if (account.notifications) {
+			try {
+				await account.notifications.update(ref, dev.notifications);
+			} catch (err) {
+				this.log.warn(this.t('Notifications for %s failed: %s', dev.name || id, err.message));
+			}
+		}
+
+		await this.setAvailable(account, id, dev.objectId, true);
+		await this.createWritableBoolean(dev.objectId, 'refreshNow', 'Refresh now', 'button');
+		if (account.scheduler) {
+			account.scheduler.polled(ref, this.isActive(ref, dev));
 		}
 	}
 
-	async updateSense(dev) {
-		const id = dev.appliance_id;
-		const d = dev.data_latest || {};
-		await this.ensureDevice(id, dev.name || 'Grohe Sense', 'SENSE');
+	/**
+	 * Journal leak start/end and valve movements that were not caused by a command of the adapter.
+	 *
+	 * @param {GroheAccount} account - account of the appliance
+	 * @param {ApplianceRef} ref - appliance
+	 * @param {string} field - schema field ID
+	 * @param {ioBroker.StateValue|undefined} prev - last known value
+	 * @param {ioBroker.StateValue} val - new value
+	 */
+	async journalChange(account, ref, field, prev, val) {
+		if (typeof prev !== 'boolean' || prev === val) {
+			return;
+		}
+		if (field === 'leakDetected') {
+			await this.journalEvent(ref, {
+				type: val ? 'leakStart' : 'leakEnd',
+				origin: 'cloud',
+				text: this.t(val ? 'Leak detected' : 'Leak over'),
+			});
+		} else if (field === 'valveOpen' && !account.commands?.queues.has(ref.applianceId)) {
+			await this.journalEvent(ref, {
+				type: val ? 'valveOpened' : 'valveClosed',
+				origin: 'cloud',
+				text: this.t(val ? 'Valve opened outside the adapter' : 'Valve closed outside the adapter'),
+			});
+		}
+	}
+
+	/**
+	 * Set `available` and journal the change.
+	 *
+	 * @param {GroheAccount} account - account of the appliance
+	 * @param {string} applianceId - Grohe appliance_id
+	 * @param {string} oid - object ID of the appliance
+	 * @param {boolean} available - appliance reachable and enabled
+	 */
+	async setAvailable(account, applianceId, oid, available) {
+		const prev = this.cache.getValue(`${oid}.available`);
+		await this.createBoolean(oid, 'available', 'Available', 'indicator.reachable', available);
+		if (typeof prev === 'boolean' && prev !== available) {
+			await this.journalEvent(
+				{ applianceId, objectId: oid, account: account.id },
+				{
+					type: available ? 'available' : 'unavailable',
+					text: this.t(available ? 'Appliance available again' : 'Appliance not available'),
+				},
+			);
+		}
+	}
+
+	/**
+	 * Record an event in the journal of the appliance, if the journal is enabled.
+	 *
+	 * @param {import('./lib/journal').JournalTarget} ref - appliance
+	 * @param {Omit<import('./lib/journal').JournalEvent, 'ts'>} event - event
+	 */
+	async journalEvent(ref, event) {
+		if (!this.journal) {
+			return;
+		}
+		try {
+			await this.journal.add(ref, event);
+		} catch (err) {
+			this.log.warn(this.t('Event journal could not be written: %s', err.message));
+		}
+	}
+
+	/**
+	 * Latest pipe pressure measurements of a Sense Guard (objects come from the schema). Read once
+	 * per hour, and on every poll for a while after a measurement was started.
+	 *
+	 * @param {GroheAccount} account - account of the appliance
+	 * @param {ApplianceRef} ref - Sense Guard
+	 */
+	async updatePressureMeasurement(account, ref) {
+		const base = `${ref.objectId}.pressureMeasurement`;
+		if (!account.api) {
+			return;
+		}
+		const now = Date.now();
+		const reads = account.pressureReads.get(ref.applianceId) || { next: 0, watchUntil: 0 };
+		if (now < reads.next && now > reads.watchUntil) {
+			return;
+		}
+		account.pressureReads.set(ref.applianceId, { ...reads, next: now + PRESSURE_READ_MS });
 
-		await this.createNumber(id, 'temperature', 'Temperatur', 'value.temperature', d.temperature);
-		await this.createNumber(id, 'humidity', 'Luftfeuchte', 'value.humidity', d.humidity);
-		await this.createBoolean(id, 'leakDetected', 'Wasser erkannt', 'indicator.alarm', d.leak_detected);
-		await this.createNumber(id, 'battery', 'Batterie', 'value.battery', d.battery_level);
+		let items;
+		try {
+			items = await account.api.getPressureMeasurements(ref);
+		} catch (err) {
+			this.log.debug(`${ref.name}: pressure measurements not available: ${err.message}`);
+			return;
+		}
 
-		await this.createNumber(id, 'signal', 'Signal', 'value.signal', d.signal_strength);
-		await this.createNumber(id, 'rssi', 'RSSI', 'value.signal', d.rssi);
+		await this.writeState(`${base}.history`, { val: JSON.stringify(items.slice(0, 20)), ack: true });
 
-		await this.writeRawLatest(id, d);
+		const last = items[0];
+		if (!last) {
+			return;
+		}
+		const drop = Number(last.drop_of_pressure ?? last.pressure_drop);
+		await this.writeState(`${base}.lastResult`, { val: String(last.status ?? ''), ack: true });
+		await this.writeState(`${base}.leakage`, { val: !!(last.leakage ?? last.flag_leakage), ack: true });
+		if (Number.isFinite(drop)) {
+			await this.writeState(`${base}.dropPercent`, { val: drop, ack: true });
+		}
+		if (last.start_time) {
+			await this.writeState(`${base}.timestamp`, { val: new Date(last.start_time).getTime(), ack: true });
+		}
 	}
 
-	async updateSenseGuard(dev) {
-		const id = dev.appliance_id;
-		const d = dev.data_latest || {};
-		await this.ensureDevice(id, dev.name || 'Grohe Sense Guard', 'SENSE_GUARD');
+	/* ===================== Object IDs ===================== */
+
+	/**
+	 * Read back which object belongs to which Grohe ID from the native part of existing objects.
+	 *
+	 * @param {GroheAccount} account - account whose objects are mapped
+	 */
+	loadIdMap(account) {
+		for (const [oid, obj] of this.cache.objects) {
+			const kind = obj.native?.kind;
+			const groheId = obj.native?.groheId;
+			if (kind && groheId !== undefined && groheId !== null && account.owns(obj)) {
+				account.idMap.set(`${kind}:${groheId}`, oid);
+			}
+		}
+	}
 
-		await this.createNumber(id, 'flowRate', 'Durchfluss', 'value.flow', d.flow_rate);
-		await this.createNumber(id, 'pressure', 'Druck', 'value.pressure', d.pressure);
-		await this.createBoolean(id, 'leakDetected', 'Leck erkannt', 'indicator.alarm', d.leak_detected);
-		await this.createBoolean(id, 'valveOpen', 'Ventil offen', 'indicator.open', d.valve_open);
+	/**
+	 * Stable, readable object ID: derived from the name when first seen, kept afterwards.
+	 *
+	 * @param {GroheAccount} account - owning account
+	 * @param {'location'|'room'|'appliance'} kind - hierarchy level
+	 * @param {string|number} groheId - Grohe ID of the item
+	 * @param {string} parentOid - object ID of the parent, the account prefix for locations
+	 * @param {string} [name] - display name
+	 * @returns {string} object ID below the namespace
+	 */
+	objectIdFor(account, kind, groheId, parentOid, name) {
+		const key = `${kind}:${groheId}`;
+		const known = account.idMap.get(key);
+		if (known) {
+			return known;
+		}
 
-		// Backwards-compatible switch (optional)
-		await this.createWritableBoolean(id, 'setValve', 'Ventil (Switch)', 'switch');
+		const slug = String(name || '')
+			.trim()
+			.replace(this.FORBIDDEN_CHARS, '_')
+			.replace(/[\s.]+/g, '_');
+		const base = `${parentOid ? `${parentOid}.` : ''}${slug || groheId}`;
 
-		// NEW: explicit open/close buttons
-		await this.ensureChannel(`${id}.controls`, 'Controls');
-		await this.createWritableBoolean(`${id}.controls`, 'valveOpen', 'Ventil öffnen', 'button');
-		await this.createWritableBoolean(`${id}.controls`, 'valveClose', 'Ventil schließen', 'button');
+		const taken = new Set([...account.idMap.values(), ...RESERVED_ROOT_IDS.map(r => account.oid(r))]);
+		let oid = base;
+		for (let n = 2; taken.has(oid); n++) {
+			oid = `${base}_${n}`;
+		}
 
-		await this.writeRawLatest(id, d);
+		account.idMap.set(key, oid);
+		return oid;
 	}
 
-	async updateBlue(dev) {
-		const id = dev.appliance_id;
-		const d = dev.data_latest || {};
-		await this.ensureDevice(id, dev.name || 'Grohe Blue', dev.appliance_type);
+	/**
+	 * @returns {ApplianceRef[]} appliances of all accounts
+	 */
+	allAppliances() {
+		return [...this.accounts.values()].flatMap(a => [...a.appliances.values()]);
+	}
+
+	/**
+	 * @param {ApplianceRef} ref - appliance
+	 * @returns {GroheAccount|undefined} account the appliance belongs to
+	 */
+	accountOf(ref) {
+		return this.accounts.get(ref.account || MAIN_ACCOUNT);
+	}
 
-		await this.createNumber(id, 'co2Level', 'CO₂ Füllstand', 'value.percent', d.co2_level);
-		await this.createNumber(id, 'filterRemaining', 'Filter Restlaufzeit', 'value.percent', d.filter_remaining);
-		await this.createNumber(id, 'waterTemperature', 'Wassertemperatur', 'value.temperature', d.temperature);
+	/**
+	 * @param {string} key - appliance_id, object ID (relative or full) or name
+	 * @param {string} [accountId] - only search this account
+	 * @returns {ApplianceRef|undefined} appliance
+	 */
+	findAppliance(key, accountId) {
+		const refs = this.allAppliances().filter(r => !accountId || r.account === accountId);
+		return (
+			refs.find(r => r.applianceId === key) ||
+			refs.find(r => r.objectId === key || `${this.namespace}.${r.objectId}` === key) ||
+			refs.find(r => r.name === key)
+		);
+	}
 
-		await this.ensureChannel(`${id}.controls`, 'Controls');
-		await this.createNumber(`${id}.controls`, 'dispenseType', 'Zapf-Typ (int)', 'level', 0, true);
-		await this.createNumber(`${id}.controls`, 'dispenseAmountMl', 'Menge (ml)', 'level', 250, true);
-		await this.createWritableBoolean(`${id}.controls`, 'dispenseTrigger', 'Zapfen auslösen', 'button');
+	/**
+	 * @param {string} id - full or relative state ID
+	 * @returns {ApplianceRef|undefined} appliance the state belongs to
+	 */
+	applianceForState(id) {
+		const local = id.startsWith(`${this.namespace}.`) ? id.slice(this.namespace.length + 1) : id;
+		return this.allAppliances().find(ref => local.startsWith(`${ref.objectId}.`));
+	}
 
-		await this.writeRawLatest(id, d);
+	/**
+	 * @param {string} id - full object ID
+	 * @param {ioBroker.Object|null|undefined} obj - new object, empty when deleted
+	 */
+	onObjectChange(id, obj) {
+		this.cache.observeObject(id, obj);
 	}
 
 	/* ===================== Writes ===================== */
 
 	async onStateChange(id, state) {
-		if (!state || state.ack || !this.api) {
+		if (state) {
+			this.cache.observe(id, state);
+		}
+		if (!state) {
 			return;
 		}
 
 		try {
-			// Sense Guard: legacy switch
-			if (id.endsWith('.setValve')) {
-				const deviceId = id.split('.').slice(-2, -1)[0];
-				await this.api.request({
-					method: 'POST',
-					url: `https://api.grohe-iot.com/v1/devices/${deviceId}/actions/valve`,
-					data: { open: !!state.val },
-				});
-				await this.setState(id, { ack: true });
+			// Leak rules: foreign source states (usually ack=true)
+			if (this.rules?.isForeignSource(id)) {
+				await this.rules.onForeignState(id, state);
 				return;
 			}
 
-			// Sense Guard: open button
-			if (id.endsWith('.controls.valveOpen')) {
-				if (!state.val) {
-					await this.setState(id, { ack: true });
-					return;
+			if (state.ack) {
+				return;
+			}
+
+			const otpAccount = [...this.accounts.values()].find(
+				a => id === `${this.namespace}.${a.oid('info.otpCode')}`,
+			);
+			if (otpAccount) {
+				if (!otpAccount.tokens?.submitOtp(state.val)) {
+					this.log.warn(this.t('%s: no login is waiting for a one-time code', otpAccount.name));
 				}
-				const parts = id.split('.');
-				const deviceId = parts[parts.length - 3];
-				await this.api.request({
-					method: 'POST',
-					url: `https://api.grohe-iot.com/v1/devices/${deviceId}/actions/valve`,
-					data: { open: true },
-				});
-				// reset button
-				await this.setState(id, { val: false, ack: true });
+				await this.writeState(id, { val: '', ack: true });
 				return;
 			}
 
-			// Sense Guard: close button
-			if (id.endsWith('.controls.valveClose')) {
-				if (!state.val) {
-					await this.setState(id, { ack: true });
-					return;
+			// Leak rules: acknowledge button
+			const ruleAck = id.match(/\.rules\.([^.]+)\.acknowledge$/);
+			if (ruleAck && id.startsWith(`${this.namespace}.rules.`)) {
+				if (state.val && this.rules) {
+					await this.rules.acknowledge(ruleAck[1]);
+				}
+				await this.writeState(id, { val: false, ack: true });
+				return;
+			}
+
+			const ref = this.applianceForState(id);
+			const account = ref && this.accountOf(ref);
+			if (!ref || !account) {
+				this.log.warn(this.t('No appliance known for %s', id));
+				return;
+			}
+			if (!account.api) {
+				return;
+			}
+			if (!id.endsWith('.refreshNow') && !this.isWritable(ref)) {
+				this.log.warn(this.t('%s: controls locked in the device configuration, %s ignored', ref.name, id));
+				return;
+			}
+
+			// Notifications: acknowledge / dismiss
+			if (id.endsWith('.alarms.acknowledge') || id.endsWith('.alarms.dismiss')) {
+				try {
+					if (account.notifications && state.val) {
+						if (id.endsWith('.acknowledge')) {
+							await account.notifications.acknowledge(ref, String(state.val));
+						} else {
+							await account.notifications.dismiss(ref, String(state.val));
+						}
+					}
+				} finally {
+					// confirm every write, also empty or failed ones, so the state does not stay unacknowledged
+					await this.writeState(id, { val: '', ack: true });
+				}
+				return;
+			}
+
+			// Appliance settings (thresholds, limits, ...)
+			if (GroheSettings.isSetting(this.cache.local(id), ref)) {
+				if (account.settings) {
+					await account.settings.write(ref, id, state.val);
+				}
+				return;
+			}
+
+			if (id.endsWith('.refreshNow')) {
+				await this.writeState(id, { val: false, ack: true });
+				if (state.val) {
+					await this.pollAppliance(account, ref.applianceId);
 				}
-				const parts = id.split('.');
-				const deviceId = parts[parts.length - 3];
-				await this.api.request({
-					method: 'POST',
-					url: `https://api.grohe-iot.com/v1/devices/${deviceId}/actions/valve`,
-					data: { open: false },
-				});
-				// reset button
-				await this.setState(id, { val: false, ack: true });
 				return;
 			}
 
-			// Blue: dispense trigger button
-			if (id.endsWith('.controls.dispenseTrigger')) {
+			const field = fieldFor(ref.type, this.cache.local(id).slice(ref.objectId.length + 1));
+			if (!field?.write) {
+				return;
+			}
+			if (!field.command) {
+				// parameter for a command, e.g. snoozeMinutes
+				await this.writeState(id, { val: state.val, ack: true });
+				return;
+			}
+			if (field.role === 'button') {
 				if (!state.val) {
-					await this.setState(id, { ack: true });
+					await this.writeState(id, { ack: true });
 					return;
 				}
-				const parts = id.split('.');
-				const deviceId = parts[parts.length - 3];
+				// reset button, the outcome is reported in commandStatus
+				await this.writeState(id, { val: false, ack: true });
+			}
+			await this.runStateCommand(field.command, ref, id, state);
+		} catch (err) {
+			this.log.error(this.t('Action failed (%s): %s', id, err.message));
+		}
+	}
+
+	/**
+	 * Commands bound to writable schema states (`FieldDef.command`).
+	 *
+	 * @param {string} command - command name
+	 * @param {ApplianceRef} ref - appliance
+	 * @param {string} id - written state
+	 * @param {ioBroker.State} state - written value
+	 */
+	async runStateCommand(command, ref, id, state) {
+		const commands = this.requireCommands(ref);
+		const origin = stateOrigin(state);
+
+		switch (command) {
+			case 'valveSwitch': {
+				const res = await commands.setValve(ref, !!state.val, origin);
+				if (res.status === 'confirmed') {
+					await this.writeState(id, { val: !!state.val, ack: true });
+				} else if (typeof res.valveOpen === 'boolean') {
+					await this.writeState(id, { val: res.valveOpen, ack: true });
+				}
+				return;
+			}
 
-				const typeState = await this.getStateAsync(`${deviceId}.controls.dispenseType`);
-				const mlState = await this.getStateAsync(`${deviceId}.controls.dispenseAmountMl`);
+			case 'valveOpen':
+			case 'valveClose':
+				await commands.setValve(ref, command === 'valveOpen', origin);
+				return;
 
-				const type = Number(typeState?.val ?? 0);
-				const amountMl = Number(mlState?.val ?? 250);
+			case 'startPressureMeasurement':
+				await this.startPressureMeasurement(ref, origin);
+				return;
 
-				await this.api.request({
-					method: 'POST',
-					url: `https://api.grohe-iot.com/v1/devices/${deviceId}/actions/dispense`,
-					data: { type, amountMl },
-				});
+			case 'snooze': {
+				const minutes = await this.cache.readValue(`${ref.objectId}.controls.snoozeMinutes`);
+				await this.snooze(ref, Math.min(1440, Math.max(1, Math.round(Number(minutes) || 60))), origin);
+				return;
+			}
 
-				await this.setState(id, { val: false, ack: true });
+			case 'unsnooze':
+				await this.snooze(ref, 0, origin);
 				return;
+
+			case 'resetFilter':
+			case 'resetCo2':
+			case 'startCleaning':
+				await this.blueMaintenance(ref, command, origin);
+				return;
+
+			case 'dispense': {
+				const typeField = fieldFor(ref.type, 'controls.dispenseType');
+				let typeVal = await this.cache.readValue(`${ref.objectId}.controls.dispenseType`);
+				if (!(String(typeVal) in (typeField?.states || {}))) {
+					// not set yet or left over from an older value list
+					typeVal = typeField?.def ?? 1;
+				}
+				const mlVal = await this.cache.readValue(`${ref.objectId}.controls.dispenseAmountMl`);
+				const { type, amountMl } = this.dispenseArgs(ref, typeVal, mlVal ?? 250);
+				await commands.dispense(ref, type, amountMl, origin);
+				return;
+			}
+
+			default:
+				this.log.warn(this.t('Unknown command %s for %s', command, id));
+		}
+	}
+
+	/**
+	 * Start a pipe pressure measurement; its result is then read on every poll for a while.
+	 *
+	 * @param {ApplianceRef} ref - Sense Guard
+	 * @param {string} origin - who requested it
+	 * @returns {Promise<{ status: string, result?: any, error?: string }>} outcome
+	 */
+	async startPressureMeasurement(ref, origin) {
+		const res = await this.requireCommands(ref).run(ref, 'startPressureMeasurement', origin, () =>
+			this.requireApi(ref).startPressureMeasurement(ref),
+		);
+		const account = this.accountOf(ref);
+		if (res.status === 'confirmed' && account) {
+			account.pressureReads.set(ref.applianceId, { next: 0, watchUntil: Date.now() + PRESSURE_WATCH_MS });
+		}
+		return res;
+	}
+
+	/**
+	 * Check tap type and amount of a dispense command against the schema of the Grohe Blue.
+	 *
+	 * @param {ApplianceRef} ref - Grohe Blue
+	 * @param {any} type - tap type, 1 still, 2 medium, 3 sparkling
+	 * @param {any} amountMl - amount
+	 * @returns {{ type: number, amountMl: number }} validated values
+	 */
+	dispenseArgs(ref, type, amountMl) {
+		const types = fieldFor(ref.type, 'controls.dispenseType')?.states || {};
+		if (!(String(type) in types)) {
+			throw new Error(
+				this.t(
+					'type %s invalid, allowed: %s',
+					type,
+					Object.entries(types)
+						.map(([k, v]) => `${k} (${v})`)
+						.join(', '),
+				),
+			);
+		}
+		const amount = Number(amountMl);
+		if (!Number.isFinite(amount) || amount <= 0) {
+			throw new Error(this.t('type/amountMl invalid'));
+		}
+		return { type: Number(type), amountMl: amount };
+	}
+
+	/**
+	 * Pause the leak alarm of a Sense Guard, or end the pause, and show it in `snoozedUntil`.
+	 *
+	 * @param {ApplianceRef} ref - Sense Guard
+	 * @param {number} minutes - pause in minutes, 0 ends it
+	 * @param {string} origin - who requested it
+	 * @returns {Promise<{ status: string, result?: any, error?: string }>} outcome
+	 */
+	async snooze(ref, minutes, origin) {
+		const api = this.requireApi(ref);
+		const res = minutes
+			? await this.requireCommands(ref).run(ref, 'snooze', origin, () => api.snooze(ref, minutes))
+			: await this.requireCommands(ref).run(ref, 'unsnooze', origin, () => api.unsnooze(ref));
+		if (res.status === 'confirmed') {
+			let until = 0;
+			if (minutes) {
+				until = res.result?.snoozed_until
+					? new Date(res.result.snoozed_until).getTime()
+					: Date.now() + minutes * 60 * 1000;
 			}
+			await this.writeState(`${ref.objectId}.snoozedUntil`, { val: until, ack: true });
+		}
+		return res;
+	}
+
+	/**
+	 * Filter/CO₂ counter reset or cleaning program of a Grohe Blue; the appliance is read again
+	 * afterwards so counters and dates show the new values.
+	 *
+	 * @param {ApplianceRef} ref - Grohe Blue
+	 * @param {'resetFilter'|'resetCo2'|'startCleaning'} command - maintenance command
+	 * @param {string} origin - who requested it
+	 * @returns {Promise<{ status: string, result?: any, error?: string }>} outcome
+	 */
+	async blueMaintenance(ref, command, origin) {
+		const api = this.requireApi(ref);
+		const res = await this.requireCommands(ref).run(ref, command, origin, () => api[command](ref));
+		const account = this.accountOf(ref);
+		if (res.status === 'confirmed' && account) {
+			await this.pollAppliance(account, ref.applianceId).catch(err =>
+				this.log.debug(`${ref.name}: refresh after ${command} failed: ${err.message}`),
+			);
+		}
+		return res;
+	}
+
+	/* ===================== Messages (sendTo) ===================== */
+
+	/**
+	 * Command API for scripts: every command replies `{ success: true, result }` or `{ success: false, error }`.
+	 *
+	 * @param {ioBroker.Message} obj - message
+	 */
+	async onMessage(obj) {
+		if (!obj || !obj.command) {
+			return;
+		}
+
+		/** @type {Record<string, any>} */
+		const msg = obj.message && typeof obj.message === 'object' ? obj.message : {};
+		let response;
+		try {
+			const result = await this.handleCommand(obj.command, msg);
+			// admin buttons with useNative take the new config values from `native` of the reply,
+			// buttons with openUrl the address from `openUrl`
+			response = result?.native || result?.openUrl ? { success: true, ...result } : { success: true, result };
 		} catch (err) {
-			this.log.error(`Aktion fehlgeschlagen (${id}): ${err.message}`);
+			this.log.warn(this.t('sendTo %s failed: %s', obj.command, err.message));
+			response = { success: false, error: err.message };
+		}
+
+		if (obj.callback) {
+			this.sendTo(obj.from, obj.command, response, obj.callback);
+		}
+	}
+
+	/**
+	 * @param {string} command - sendTo command
+	 * @param {Record<string, any>} msg - message payload
+	 * @returns {Promise<any>} command result
+	 */
+	async handleCommand(command, msg) {
+		switch (command) {
+			case 'listAppliances':
+				return this.allAppliances().filter(r => !msg.account || r.account === msg.account);
+
+			case 'listAccounts':
+				return [...this.accounts.values()].map(a => ({
+					id: a.id,
+					name: a.name,
+					objectId: a.prefix,
+					connected: a.connected,
+					appliances: a.appliances.size,
+				}));
+
+			case 'getAppliance': {
+				const ref = this.requireAppliance(msg);
+				const states = await this.getStatesAsync(`${ref.objectId}.*`);
+				/** @type {Record<string, ioBroker.StateValue>} */
+				const values = {};
+				for (const [sid, st] of Object.entries(states || {})) {
+					if (st) {
+						values[sid.slice(`${this.namespace}.${ref.objectId}.`.length)] = st.val;
+					}
+				}
+				return { ...ref, states: values };
+			}
+
+			case 'openValve':
+			case 'closeValve': {
+				const ref = this.requireAppliance(msg, ['SENSE_GUARD']);
+				const res = await this.requireCommands(ref).setValve(ref, command === 'openValve', 'sendTo');
+				return this.commandResult(ref, res);
+			}
+
+			case 'startPressureMeasurement': {
+				const ref = this.requireAppliance(msg, ['SENSE_GUARD']);
+				return this.commandResult(ref, await this.startPressureMeasurement(ref, 'sendTo'));
+			}
+
+			case 'snooze': {
+				const ref = this.requireAppliance(msg, ['SENSE_GUARD']);
+				const minutes = Math.round(Number(msg.minutes ?? 60));
+				if (!(minutes >= 1 && minutes <= 1440)) {
+					throw new Error(this.t('minutes must be between 1 and 1440'));
+				}
+				return this.commandResult(ref, await this.snooze(ref, minutes, 'sendTo'));
+			}
+
+			case 'unsnooze': {
+				const ref = this.requireAppliance(msg, ['SENSE_GUARD']);
+				return this.commandResult(ref, await this.snooze(ref, 0, 'sendTo'));
+			}
+
+			case 'resetFilter':
+			case 'resetCo2':
+			case 'startCleaning': {
+				const ref = this.requireAppliance(
+					msg,
+					command === 'startCleaning' ? ['BLUE_PRO'] : ['BLUE_HOME', 'BLUE_PRO'],
+				);
+				return this.commandResult(ref, await this.blueMaintenance(ref, command, 'sendTo'));
+			}
+
+			case 'dispense': {
+				const ref = this.requireAppliance(msg, ['BLUE_HOME', 'BLUE_PRO']);
+				const { type, amountMl } = this.dispenseArgs(ref, msg.type ?? 1, msg.amountMl ?? 250);
+				const res = await this.requireCommands(ref).dispense(ref, type, amountMl, 'sendTo');
+				return { ...this.commandResult(ref, res), type, amountMl };
+			}
+
+			case 'getHistory': {
+				const ref = this.requireAppliance(msg);
+				const groupBy = msg.groupBy || 'day';
+				if (!['hour', 'day', 'week', 'month', 'year'].includes(groupBy)) {
+					throw new Error(this.t('groupBy invalid: %s', groupBy));
+				}
+				const to = msg.to || new Date().toISOString().slice(0, 10);
+				const from = msg.from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+				return this.requireApi(ref).getAggregated(ref, groupBy, from, to);
+			}
+
+			case 'exportJournal': {
+				const ref = this.requireAppliance(msg);
+				if (!this.journal) {
+					throw new Error(this.t('Event journal is disabled'));
+				}
+				/** @param {any} v - ms or date string */
+				const time = v => (v === undefined || v === '' ? undefined : Number(v) || Date.parse(v));
+				return this.journal.toCsv(ref, { from: time(msg.from), to: time(msg.to) });
+			}
+
+			case 'loginUrl':
+				return {
+					openUrl: new GroheLogin(this, { baseUrl: this.config.apiBaseUrl }).loginUrl(),
+					window: '_blank',
+				};
+
+			case 'manualLogin': {
+				const account = this.requireAccount(msg.account);
+				if (!account.tokens) {
+					throw new Error(this.t('%s: account not started yet', account.name));
+				}
+				await account.tokens.manualLogin(String(msg.redirectUrl ?? msg.url ?? ''));
+				if (!account.commands) {
+					// the automatic login had failed, start the account with the new refresh token
+					account.stop();
+					await this.startAccount(account);
+				}
+				return this.t('%s: login applied, refresh token saved', account.name);
+			}
+
+			case 'discoverAppliances':
+				return this.discoverAppliances(
+					/** @type {Record<string, any>[]} */ (
+						Array.isArray(msg.appliances) ? msg.appliances : this.config.appliances || []
+					),
+				);
+
+			case 'testLogin':
+				return this.testLogin(msg);
+
+			case 'refreshNow': {
+				if (msg.id !== undefined || msg.applianceId !== undefined) {
+					const ref = this.requireAppliance(msg);
+					const account = this.accountOf(ref);
+					if (account) {
+						await this.pollAppliance(account, ref.applianceId);
+					}
+					return { applianceId: ref.applianceId };
+				}
+				const accounts = [...this.accounts.values()].filter(a => !msg.account || a.id === msg.account);
+				if (!accounts.length) {
+					throw new Error(this.t('Account not found: %s', msg.account));
+				}
+				for (const account of accounts) {
+					await this.pollDevices(account);
+				}
+				return { appliances: accounts.reduce((n, a) => n + a.appliances.size, 0) };
+			}
+
+			default:
+				throw new Error(this.t('Unknown command: %s', command));
+		}
+	}
+
+	/**
+	 * @param {ApplianceRef} ref - appliance
+	 * @param {boolean} [ignoreLock] - also for locked controls (leak rules closing a valve)
+	 * @returns {import('./lib/commands')} command queue of its account, throws if not logged in
+	 */
+	requireCommands(ref, ignoreLock) {
+		if (!ignoreLock && !this.isWritable(ref)) {
+			throw new Error(this.t('%s: controls locked in the device configuration', ref.name));
+		}
+		const commands = this.accountOf(ref)?.commands;
+		if (!commands) {
+			throw new Error(this.t('Not connected'));
+		}
+		return commands;
+	}
+
+	/**
+	 * @param {string} accountId - account id
+	 * @param {string} applianceId - appliance_id
+	 * @returns {Record<string, any>} row of the Devices table, empty if the appliance is not listed
+	 */
+	applianceOption(accountId, applianceId) {
+		return this.applianceOptions.get(applianceKey(accountId, String(applianceId))) || {};
+	}
+
+	/**
+	 * @param {ApplianceRef} ref - appliance
+	 * @returns {boolean} false if its controls are locked in the Devices table
+	 */
+	isWritable(ref) {
+		return this.applianceOption(ref.account || MAIN_ACCOUNT, ref.applianceId).writeEnabled !== false;
+	}
+
+	/**
+	 * Rows for the Devices table: the appliances of all connected accounts. Switches of listed
+	 * appliances are kept, rows of appliances that are no longer found stay in the table.
+	 *
+	 * @param {Record<string, any>[]} rows - table as currently shown in the admin
+	 * @returns {Promise<{ native: { appliances: Record<string, any>[] }, result: string }>} new table
+	 */
+	async discoverAppliances(rows) {
+		const previous = new Map(
+			rows.filter(r => r?.applianceId).map(r => [applianceKey(r.account || MAIN_ACCOUNT, r.applianceId), r]),
+		);
+		const found = new Map();
+		const failed = [];
+		for (const account of this.accounts.values()) {
+			if (!account.api || !account.connected) {
+				failed.push(this.t('%s: not connected', account.name));
+				continue;
+			}
+			try {
+				const dashboard = await account.api.getDashboard();
+				for (const row of applianceRows(
+					account,
+					dashboard,
+					previous,
+					id => account.appliances.get(id)?.lastSeen,
+				)) {
+					found.set(applianceKey(row.account, row.applianceId), row);
+				}
+			} catch (err) {
+				failed.push(`${account.name}: ${err.message}`);
+			}
+		}
+
+		const appliances = [...found.values(), ...[...previous].filter(([key]) => !found.has(key)).map(([, r]) => r)];
+		const result = [this.t('%s appliances found', found.size), ...failed].join('\n');
+		return { native: { appliances }, result };
+	}
+
+	/**
+	 * Web login with credentials from the admin form. Nothing is stored and no account is touched,
+	 * the tokens are dropped.
+	 *
+	 * @param {Record<string, any>} msg - `email`, `password`, optional `totpSecret`
+	 * @returns {Promise<string>} outcome
+	 */
+	async testLogin(msg) {
+		const email = String(msg.email ?? '').trim();
+		const password = String(msg.password ?? '');
+		const totpSecret = String(msg.totpSecret ?? '').trim();
+		if (!email || !password) {
+			throw new Error(this.t('Email or password missing'));
+		}
+
+		let otpUsed = false;
+		const login = new GroheLogin(this, {
+			debug: !!this.config.debugLogin,
+			baseUrl: this.config.apiBaseUrl,
+			otp: async () => {
+				if (!totpSecret) {
+					throw new Error(this.t('Grohe asks for a one-time code (2FA), please enter the 2FA secret'));
+				}
+				otpUsed = true;
+				try {
+					return generateTotp(totpSecret);
+				} catch (e) {
+					throw new Error(this.t(e.message));
+				}
+			},
+		});
+		await login.login(email, password);
+		return this.t(otpUsed ? 'Login for %s successful (with 2FA code)' : 'Login for %s successful', email);
+	}
+
+	/**
+	 * Turn a queue outcome into a sendTo result; anything but "confirmed" is an error for the caller.
+	 *
+	 * @param {ApplianceRef} ref - appliance
+	 * @param {{ status: string, error?: string, [key: string]: any }} res - queue outcome
+	 * @returns {Record<string, any>} result
+	 */
+	commandResult(ref, res) {
+		if (res.status !== 'confirmed') {
+			throw new Error(`${res.status}${res.error ? `: ${res.error}` : ''}`);
 		}
+		return { applianceId: ref.applianceId, ...res };
+	}
+
+	/**
+	 * @param {ApplianceRef} ref - appliance
+	 * @returns {import('./lib/api')} API client of its account, throws if not logged in
+	 */
+	requireApi(ref) {
+		const api = this.accountOf(ref)?.api;
+		if (!api) {
+			throw new Error(this.t('Not connected'));
+		}
+		return api;
+	}
+
+	/**
+	 * @param {unknown} key - account id, e-mail or name; empty for the main account
+	 * @returns {GroheAccount} account
+	 */
+	requireAccount(key) {
+		const k = String(key ?? '').trim();
+		const accounts = [...this.accounts.values()];
+		const account = k
+			? accounts.find(a => a.id === k || a.name === k || a.cfg.email.toLowerCase() === k.toLowerCase())
+			: this.accounts.get(MAIN_ACCOUNT) || accounts[0];
+		if (!account) {
+			throw new Error(this.t('Account not found: %s', k));
+		}
+		return account;
+	}
+
+	/**
+	 * Find an appliance by appliance_id, object ID or name.
+	 *
+	 * @param {Record<string, any>} msg - message with `id`, optionally `account` if several accounts share an appliance
+	 * @param {string[]} [types] - allowed appliance types
+	 * @returns {ApplianceRef} appliance
+	 */
+	requireAppliance(msg, types) {
+		const key = String(msg.id ?? msg.applianceId ?? '').trim();
+		if (!key) {
+			throw new Error(this.t('id missing'));
+		}
+		const ref = this.findAppliance(key, msg.account);
+		if (!ref) {
+			throw new Error(this.t('Appliance not found: %s', key));
+		}
+		if (types && !types.includes(ref.type)) {
+			throw new Error(this.t('Command not supported for %s', ref.type));
+		}
+		return ref;
+	}
+
+	/* ===================== Translations ===================== */
+
+	/**
+	 * @param {string} key - English text from lib/i18n, `%s` are replaced by args
+	 * @param {...(string|number|boolean|null)} args - values for the placeholders
+	 * @returns {string} text in the system language
+	 */
+	t(key, ...args) {
+		return utils.I18n.translate(key, ...args);
+	}
+
+	/**
+	 * @param {string} key - English text from lib/i18n
+	 * @param {...(string|number|boolean|null)} args - values for the placeholders
+	 * @returns {ioBroker.Translated} object name in all languages
+	 */
+	tName(key, ...args) {
+		return utils.I18n.getTranslatedObject(key, ...args);
+	}
+
+	/**
+	 * @param {import('./lib/schema').FieldDef} field - schema field
+	 * @returns {Record<string, any>} object common with translated name and value labels
+	 */
+	localizedCommon(field) {
+		const common = commonFor(field);
+		common.name = this.tName(field.name);
+		if (common.states) {
+			common.states = Object.fromEntries(Object.entries(common.states).map(([k, v]) => [k, this.t(v)]));
+		}
+		return common;
 	}
 
 	/* ===================== Object helpers (no deprecated create*) ===================== */
 
-	async ensureDevice(id, name, type) {
-		const obj = await this.getObjectAsync(id);
+	/**
+	 * @param {GroheAccount} account - owning account
+	 * @param {string} id - object ID
+	 * @param {string} name - display name
+	 * @param {string} type - appliance type name
+	 * @param {Record<string, any>} [dev] - normalized appliance for the native metadata
+	 */
+	async ensureDevice(account, id, name, type, dev) {
+		await this.syncObject(id, 'device', `${name} (${type})`, {
+			type,
+			kind: 'appliance',
+			account: account.prefix ? account.id : undefined,
+			groheId: dev?.appliance_id,
+			locationId: dev?.location_id,
+			roomId: dev?.room_id,
+			serialNumber: dev?.serial_number,
+			version: dev?.version,
+		});
+	}
+
+	/**
+	 * Create the object, or bring type, name and native metadata of an existing one in line with the cloud.
+	 *
+	 * @param {string} id - object ID
+	 * @param {'device'|'folder'} type - object type
+	 * @param {ioBroker.StringOrTranslated} name - display name
+	 * @param {Record<string, any>} native - metadata from the cloud
+	 */
+	async syncObject(id, type, name, native) {
+		const obj = this.cache.getObject(id);
 		if (!obj) {
-			await this.setObject(id, {
-				type: 'device',
-				common: { name: `${name} (${type})` },
-				native: { type },
-			});
+			this.cache.ensureObject(id, { type, common: { name }, native });
+			return;
 		}
+
+		/** @type {Record<string, any>} */
+		const changed = {};
+		for (const [k, v] of Object.entries(native)) {
+			if (v !== undefined && JSON.stringify(obj.native?.[k]) !== JSON.stringify(v)) {
+				changed[k] = v;
+			}
+		}
+		const renamed = JSON.stringify(obj.common?.name) !== JSON.stringify(name);
+		// e.g. raw sub-channels of older versions
+		const retyped = obj.type !== type;
+		if (!renamed && !retyped && !Object.keys(changed).length) {
+			return;
+		}
+
+		if (renamed && typeof name === 'string') {
+			this.log.info(this.t('%s: name changed to "%s"', id, name));
+		}
+		await this.extendObjectAsync(id, { type, common: { name }, native: changed });
+		this.cache.putObject(id, { type, common: { name }, native: changed });
+	}
+
+	/**
+	 * @param {GroheAccount} account - owning account
+	 * @param {Record<string, any>} location - location from the dashboard
+	 * @returns {Promise<string>} object ID of the location folder
+	 */
+	async ensureLocation(account, location) {
+		const oid = this.objectIdFor(account, 'location', location.id, account.prefix, location.name);
+		await this.syncObject(oid, 'folder', location.name || String(location.id), {
+			kind: 'location',
+			account: account.prefix ? account.id : undefined,
+			groheId: location.id,
+			timezone: location.timezone,
+			address: location.address || {},
+			currency: location.currency,
+		});
+
+		const a = location.address || {};
+		const address = [
+			[a.street, a.housenumber].filter(Boolean).join(' '),
+			[a.zipcode, a.city].filter(Boolean).join(' '),
+			a.country,
+		]
+			.filter(Boolean)
+			.join(', ');
+
+		await this.ensureState(`${oid}.address`, {
+			name: this.tName('Address'),
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+		await this.writeState(`${oid}.address`, { val: address, ack: true });
+		await this.ensureState(`${oid}.timezone`, {
+			name: this.tName('Time zone'),
+			type: 'string',
+			role: 'text',
+			read: true,
+			write: false,
+		});
+		await this.writeState(`${oid}.timezone`, { val: String(location.timezone || ''), ack: true });
+
+		return oid;
 	}
 
+	/**
+	 * @param {GroheAccount} account - owning account
+	 * @param {string} locationOid - object ID of the owning location
+	 * @param {Record<string, any>} room - room from the dashboard
+	 * @returns {Promise<string>} object ID of the room folder
+	 */
+	async ensureRoom(account, locationOid, room) {
+		const oid = this.objectIdFor(account, 'room', room.id, locationOid, room.name);
+		await this.syncObject(oid, 'folder', room.name || String(room.id), {
+			kind: 'room',
+			account: account.prefix ? account.id : undefined,
+			groheId: room.id,
+			roomType: room.room_type,
+		});
+		return oid;
+	}
+
+	/**
+	 * Create the channel; after an update the name of an existing one follows as well.
+	 *
+	 * @param {string} id - channel ID
+	 * @param {ioBroker.StringOrTranslated} name - display name
+	 */
 	async ensureChannel(id, name) {
-		const obj = await this.getObjectAsync(id);
-		if (!obj) {
-			await this.setObject(id, {
-				type: 'channel',
-				common: { name },
-				native: {},
-			});
+		const existing = this.cache.getObject(id);
+		if (!existing) {
+			this.cache.ensureObject(id, { type: 'channel', common: { name }, native: {} });
+			return;
+		}
+		if (this.syncNames && JSON.stringify(existing.common?.name) !== JSON.stringify(name)) {
+			await this.extendObjectAsync(id, { common: { name } });
+			this.cache.putObject(id, { common: { name } });
 		}
 	}
 
+	/**
+	 * Create the state, or update type, role, unit, range and value list of an existing one;
+	 * after an update of the adapter also its name.
+	 *
+	 * @param {string} id - state ID
+	 * @param {Record<string, any>} common - object common
+	 */
 	async ensureState(id, common) {
-		const obj = await this.getObjectAsync(id);
-		if (!obj) {
-			await this.setObject(id, { type: 'state', common, native: {} });
+		const existing = this.cache.getObject(id);
+		if (!existing) {
+			this.cache.ensureObject(id, { type: 'state', common, native: {} });
+			return;
 		}
-	}
 
-	async createNumber(devId, name, label, role, value, writable = false) {
-		const sid = `${devId}.${name}`;
-		await this.ensureState(sid, { name: label, type: 'number', role, read: true, write: !!writable });
-		if (value !== undefined) {
-			await this.setState(sid, { val: value, ack: true });
+		/** @type {Record<string, any>} */
+		const changed = {};
+		for (const key of this.syncNames ? ['name', ...SYNCED_COMMON] : SYNCED_COMMON) {
+			if (common[key] !== undefined && JSON.stringify(existing.common?.[key]) !== JSON.stringify(common[key])) {
+				changed[key] = common[key];
+			}
+		}
+		if (Object.keys(changed).length) {
+			await this.extendObjectAsync(id, { common: changed });
+			this.cache.putObject(id, { common: changed });
 		}
+		if (changed.states && common.def !== undefined) {
+			// a value of the previous value list, e.g. dispenseType 0 of older versions
+			const val = await this.cache.readValue(id);
+			if (val !== undefined && val !== null && !(String(val) in changed.states)) {
+				await this.writeState(id, { val: common.def, ack: true });
+			}
+		}
+	}
+
+	/**
+	 * Write a state only if it changed (see lib/cache.js).
+	 *
+	 * @param {string} id - state ID
+	 * @param {ioBroker.SettableState} state - new state
+	 */
+	async writeState(id, state) {
+		await this.cache.setState(id, state);
 	}
 
 	async createBoolean(devId, name, label, role, value) {
 		const sid = `${devId}.${name}`;
-		await this.ensureState(sid, { name: label, type: 'boolean', role, read: true, write: false });
+		await this.ensureState(sid, { name: this.tName(label), type: 'boolean', role, read: true, write: false });
 		if (value !== undefined) {
-			await this.setState(sid, { val: !!value, ack: true });
+			await this.writeState(sid, { val: !!value, ack: true });
 		}
 	}
 
 	async createWritableBoolean(devId, name, label, role) {
 		const sid = `${devId}.${name}`;
-		await this.ensureState(sid, { name: label, type: 'boolean', role, read: true, write: true });
+		await this.ensureState(sid, { name: this.tName(label), type: 'boolean', role, read: true, write: true });
 	}
 
 	async writeRawLatest(devId, dataLatest) {
@@ -405,27 +1685,23 @@ class GroheSmarthome extends utils.Adapter {
 
 		await this.ensureChannel(`${devId}.raw`, 'Raw');
 
-		for (const [k, v] of Object.entries(dataLatest)) {
-			if (v === null || v === undefined) {
+		for (const entry of flattenRaw(dataLatest, this.FORBIDDEN_CHARS)) {
+			const oid = `${devId}.raw.${entry.id}`;
+			if (entry.kind === 'folder') {
+				await this.syncObject(oid, 'folder', entry.common.name, {});
 				continue;
 			}
 
-			const t = typeof v;
-			if (t === 'number') {
-				await this.createNumber(`${devId}.raw`, k, k, 'value', v, false);
-			} else if (t === 'boolean') {
-				const sid = `${devId}.raw.${k}`;
-				await this.ensureState(sid, { name: k, type: 'boolean', role: 'indicator', read: true, write: false });
-				await this.setState(sid, { val: !!v, ack: true });
-			} else if (t === 'string') {
-				const sid = `${devId}.raw.${k}`;
-				await this.ensureState(sid, { name: k, type: 'string', role: 'text', read: true, write: false });
-				await this.setState(sid, { val: v, ack: true });
-			}
+			await this.ensureState(oid, { ...entry.common, read: true, write: false });
+			await this.writeState(oid, { val: entry.val ?? null, ack: true });
 		}
 	}
 
-	async handleInitError(err) {
+	/**
+	 * @param {GroheAccount} account - account whose start failed
+	 * @param {any} err - error
+	 */
+	async handleInitError(account, err) {
 		const code = (() => {
 			const e = err;
 			const axiosStatus = e?.response?.status;
@@ -441,20 +1717,36 @@ class GroheSmarthome extends utils.Adapter {
 			}
 			return String(e);
 		})();
-		await this.setState('info.connection', { val: false, ack: true });
-		await this.setState('info.tokenValid', { val: false, ack: true });
-		await this.setState('info.tokenError', { val: String(code), ack: true });
-		await this.setState('info.loginStep', { val: 'error', ack: true });
-
-		this.log.error(`Initialisierung fehlgeschlagen: ${String(code)}`);
+		await this.setConnected(account, false);
+		await this.writeState(account.oid('info.tokenValid'), { val: false, ack: true });
+		await this.writeState(account.oid('info.tokenError'), { val: String(code), ack: true });
+		await this.writeState(account.oid('info.loginStep'), { val: 'error', ack: true });
+
+		// the code names the cause for `info.tokenError`, the message is more helpful in the log
+		const text = hasCode(err) && code === err.code && err.message ? err.message : String(code);
+		this.log.error(this.t('%s: initialization failed: %s', account.name, text));
+
+		if (!GroheTokenManager.isAuthError(err)) {
+			// network down at boot, cloud unavailable, ...: the account heals itself
+			const delay = Math.min(START_RETRY_MAX_MS, START_RETRY_MS * 2 ** account.startFailures);
+			account.startFailures++;
+			account.stop();
+			account.startTimer = setTimeout(() => {
+				account.startTimer = null;
+				this.startAccount(account).catch(e => this.log.error(e.message));
+			}, delay);
+			this.log.info(this.t('%s: next start attempt in %s min', account.name, Math.round(delay / 60000)));
+		}
 	}
 
 	onUnload(callback) {
 		try {
-			if (this.pollTimer) {
-				clearInterval(this.pollTimer);
+			if (this.historyTimer) {
+				clearInterval(this.historyTimer);
+			}
+			for (const account of this.accounts.values()) {
+				account.stop();
 			}
-			this.api = null;
 			callback();
 		} catch {
 			callback();
@@ -0,0 +1,205 @@
+'use strict';
+
+/** Object ID characters js-controller rejects, as in `adapter.FORBIDDEN_CHARS` */
+const FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu;
+
+/** @type {import('../../lib/appliances').ApplianceRef} */
+const GUARD = {
+	applianceId: 'guard-1',
+	locationId: '1',
+	roomId: '10',
+	type: 'SENSE_GUARD',
+	name: 'Guard',
+	objectId: 'Home.Keller.Guard',
+};
+
+/** @type {import('../../lib/appliances').ApplianceRef} */
+const SENSE = {
+	applianceId: 'sense-1',
+	locationId: '1',
+	roomId: '10',
+	type: 'SENSE',
+	name: 'Sense',
+	objectId: 'Home.Keller.Sense',
+};
+
+/** @type {import('../../lib/appliances').ApplianceRef[]} */
+const APPLIANCES = [GUARD, SENSE];
+
+/**
+ * Minimal adapter for exercising the lib/ classes without js-controller: collects log lines
+ * and written states.
+ *
+ * @returns {any} adapter stub
+ */
+function createAdapterStub() {
+	/** @type {Record<string, string[]>} */
+	const logs = { debug: [], info: [], warn: [], error: [] };
+	/** @type {Record<string, any>} */
+	const states = {};
+	/** @type {{ ref: any, event: Record<string, any> }[]} */
+	const events = [];
+	return {
+		namespace: 'grohe-smarthome.0',
+		FORBIDDEN_CHARS,
+		logs,
+		states,
+		events,
+		// English texts, %s filled in order like utils.I18n.translate
+		t: (key, ...args) => args.reduce((text, arg) => text.replace('%s', String(arg)), String(key)),
+		tName(key, ...args) {
+			return { en: this.t(key, ...args) };
+		},
+		log: {
+			debug: msg => logs.debug.push(msg),
+			info: msg => logs.info.push(msg),
+			warn: msg => logs.warn.push(msg),
+			error: msg => logs.error.push(msg),
+		},
+		persistedRefreshToken: null,
+		/** @type {string|undefined} */
+		persistedAccount: undefined,
+		async writeState(id, state) {
+			states[id] = state.val;
+		},
+		async getStateAsync(id) {
+			return id in states ? { val: states[id], ack: true } : null;
+		},
+		// the written states are what lib/cache.js would hold
+		cache: {
+			async readValue(id) {
+				return states[id];
+			},
+		},
+		async ensureChannel() {},
+		async ensureState() {},
+		async journalEvent(ref, event) {
+			events.push({ ref, event });
+		},
+		// reversible stand-in for the system secret encryption
+		encrypt: value => `enc:${Buffer.from(String(value)).toString('base64')}`,
+		decrypt: value => Buffer.from(String(value).replace(/^enc:/, ''), 'base64').toString(),
+		async persistRefreshTokenIfChanged(token, account) {
+			this.persistedRefreshToken = token;
+			this.persistedAccount = account;
+		},
+	};
+}
+
+/**
+ * @param {Record<string, any>} [foreign] - foreign state ID → value
+ * @returns {any} adapter stub with appliances, foreign states and a valve that can be made to fail
+ */
+function createRulesAdapter(foreign = {}) {
+	const adapter = createAdapterStub();
+	/** @type {{ applianceId: string, open: boolean, origin: string, ignoreLock: boolean }[]} */
+	adapter.valveCalls = [];
+	adapter.valveStatus = 'confirmed';
+	adapter.locked = false;
+	adapter.findAppliance = key => APPLIANCES.find(r => [r.applianceId, r.objectId, r.name].includes(key));
+	adapter.getForeignObjectAsync = async id => (id in foreign ? { type: 'state' } : null);
+	adapter.getForeignStateAsync = async id => (id in foreign ? { val: foreign[id], ack: true } : null);
+	adapter.subscribeForeignStates = () => {};
+	adapter.requireCommands = (ref, ignoreLock) => {
+		if (adapter.locked && !ignoreLock) {
+			throw new Error('controls locked');
+		}
+		return {
+			async setValve(r, open, origin) {
+				adapter.valveCalls.push({ applianceId: r.applianceId, open, origin, ignoreLock: !!ignoreLock });
+				return { status: adapter.valveStatus };
+			},
+		};
+	};
+	return adapter;
+}
+
+/**
+ * @returns {any} adapter stub recording object and state writes, with a state write that can be made to fail
+ */
+function createDatabaseAdapter() {
+	const adapter = createAdapterStub();
+	/** @type {string[]} */
+	adapter.objectWrites = [];
+	/** @type {[string, any][]} */
+	adapter.stateWrites = [];
+	adapter.failWrites = false;
+	adapter.getAdapterObjectsAsync = async () => ({
+		'grohe-smarthome.0.Home.Keller.Guard.valveOpen': { type: 'state', common: { name: 'Valve open' } },
+	});
+	adapter.getStatesAsync = async () => ({
+		'grohe-smarthome.0.Home.Keller.Guard.valveOpen': { val: true, ack: true, ts: 1 },
+	});
+	adapter.setObjectAsync = async id => {
+		adapter.objectWrites.push(id);
+	};
+	adapter.setStateAsync = async (id, state) => {
+		if (adapter.failWrites) {
+			throw new Error('DB closed');
+		}
+		adapter.stateWrites.push([id, state.val]);
+	};
+	return adapter;
+}
+
+/**
+ * @param {(call: number) => any} command - valve read-back per call
+ * @returns {any} API stub counting setValve and getCommand calls
+ */
+function createValveApi(command) {
+	const api = {
+		setValveCalls: /** @type {boolean[]} */ ([]),
+		getCommandCalls: 0,
+		async setValve(ref, open) {
+			api.setValveCalls.push(open);
+		},
+		async getCommand() {
+			return command(++api.getCommandCalls);
+		},
+	};
+	return api;
+}
+
+/**
+ * @returns {Record<string, any>} Sense config with both temperature and humidity thresholds
+ */
+function senseConfig() {
+	return {
+		thresholds: [
+			{ quantity: 'temperature', type: 'min', value: 5, enabled: true },
+			{ quantity: 'temperature', type: 'max', value: 30, enabled: true },
+			{ quantity: 'humidity', type: 'min', value: 30, enabled: true },
+			{ quantity: 'humidity', type: 'max', value: 70, enabled: true },
+		],
+	};
+}
+
+/**
+ * @returns {{ api: any, saved: Record<string, any>[] }} API stub that echoes the saved config
+ */
+function createSettingsApi() {
+	/** @type {Record<string, any>[]} */
+	const saved = [];
+	const api = {
+		async getAppliance() {
+			return { appliance_id: SENSE.applianceId, config: senseConfig() };
+		},
+		async updateApplianceConfig(ref, appliance, config) {
+			saved.push(config);
+			return { ...appliance, config };
+		},
+	};
+	return { api, saved };
+}
+
+module.exports = {
+	FORBIDDEN_CHARS,
+	GUARD,
+	SENSE,
+	APPLIANCES,
+	createAdapterStub,
+	createRulesAdapter,
+	createDatabaseAdapter,
+	createValveApi,
+	createSettingsApi,
+};
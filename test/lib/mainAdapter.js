@@ -0,0 +1,177 @@
+'use strict';
+
+const { GroheAccount } = require('../../lib/account');
+const { FORBIDDEN_CHARS } = require('./adapterStub');
+
+/**
+ * @param {string} key - English text, `%s` filled in order
+ * @param {...any} args - values for the placeholders
+ * @returns {string} text
+ */
+function translate(key, ...args) {
+	return args.reduce((text, arg) => text.replace('%s', String(arg)), String(key));
+}
+
+/**
+ * Stand-in for `utils.Adapter` of adapter-core: objects and states live in plain records with
+ * full IDs, deletions and sendTo replies are recorded.
+ */
+class FakeAdapter {
+	/**
+	 * @param {Record<string, any>} [options] - adapter options
+	 */
+	constructor(options) {
+		this.name = options?.name;
+		this.namespace = 'grohe-smarthome.0';
+		this.FORBIDDEN_CHARS = FORBIDDEN_CHARS;
+		/** @type {Record<string, any>} */
+		this.config = {};
+
+		/** @type {Record<string, string[]>} */
+		this.logs = { debug: [], info: [], warn: [], error: [] };
+		this.log = {
+			debug: msg => this.logs.debug.push(msg),
+			info: msg => this.logs.info.push(msg),
+			warn: msg => this.logs.warn.push(msg),
+			error: msg => this.logs.error.push(msg),
+		};
+
+		/** @type {Record<string, any>} */
+		this.objects = {};
+		/** @type {Record<string, any>} */
+		this.states = {};
+		/** @type {string[]} */
+		this.deleted = [];
+		/** @type {{ to: string, command: string, response: any }[]} */
+		this.replies = [];
+	}
+
+	/**
+	 * @param {string} id - relative or full ID
+	 * @returns {string} full ID
+	 */
+	full(id) {
+		return id.startsWith(`${this.namespace}.`) ? id : `${this.namespace}.${id}`;
+	}
+
+	on() {}
+
+	subscribeStates() {}
+
+	async getAdapterObjectsAsync() {
+		return { ...this.objects };
+	}
+
+	async getStatesAsync(pattern) {
+		const prefix = this.full(pattern).replace(/\*$/, '');
+		return Object.fromEntries(Object.entries(this.states).filter(([id]) => id.startsWith(prefix)));
+	}
+
+	async getStateAsync(id) {
+		return this.states[this.full(id)] || null;
+	}
+
+	async setStateAsync(id, state) {
+		this.states[this.full(id)] = { ...state, ts: Date.now() };
+	}
+
+	async setObjectAsync(id, obj) {
+		this.objects[this.full(id)] = obj;
+	}
+
+	async extendObjectAsync(id, obj) {
+		const prev = this.objects[this.full(id)] || {};
+		this.objects[this.full(id)] = { ...prev, ...obj, native: { ...prev.native, ...obj.native } };
+	}
+
+	async delObjectAsync(id, options) {
+		const full = this.full(id);
+		this.deleted.push(id);
+		for (const oid of Object.keys(this.objects)) {
+			if (oid === full || (options?.recursive && oid.startsWith(`${full}.`))) {
+				delete this.objects[oid];
+			}
+		}
+	}
+
+	sendTo(to, command, response) {
+		this.replies.push({ to, command, response });
+	}
+}
+
+/** Replaces `@iobroker/adapter-core` while main.js is loaded */
+const adapterCore = {
+	Adapter: FakeAdapter,
+	I18n: {
+		async init() {},
+		translate,
+		getTranslatedObject: (key, ...args) => ({ en: translate(key, ...args) }),
+	},
+	getAbsoluteInstanceDataDir: () => '/tmp/grohe-smarthome.0',
+};
+
+/**
+ * @returns {(options?: Record<string, any>) => any} factory exported by main.js, built on the fake adapter-core
+ */
+function loadMain() {
+	const corePath = require.resolve('@iobroker/adapter-core');
+	const mainPath = require.resolve('../../main');
+	const real = require.cache[corePath];
+	require.cache[corePath] = /** @type {any} */ ({
+		id: corePath,
+		filename: corePath,
+		loaded: true,
+		exports: adapterCore,
+	});
+	try {
+		return require(mainPath);
+	} finally {
+		// other tests get the real adapter-core and their own main.js
+		if (real) {
+			require.cache[corePath] = real;
+		} else {
+			delete require.cache[corePath];
+		}
+		delete require.cache[mainPath];
+	}
+}
+
+/**
+ * The adapter of main.js on a fake js-controller, with the given objects already in its cache.
+ *
+ * @param {{ objects?: Record<string, any>, config?: Record<string, any> }} [opts] - objects (relative IDs) and instance config
+ * @returns {Promise<any>} adapter instance
+ */
+async function createMainAdapter(opts) {
+	const adapter = loadMain()();
+	adapter.config = { ...opts?.config };
+	for (const [id, obj] of Object.entries(opts?.objects || {})) {
+		adapter.objects[adapter.full(id)] = obj;
+	}
+	await adapter.cache.load();
+	return adapter;
+}
+
+/**
+ * @param {any} adapter - adapter from createMainAdapter
+ * @param {string} [id] - account id, the main account if missing
+ * @returns {GroheAccount} account registered with the adapter, not started
+ */
+function addAccount(adapter, id = 'main') {
+	const account = new GroheAccount(adapter, {
+		id,
+		name: id === 'main' ? 'Grohe' : id,
+		email: `${id}@example.com`,
+		password: '',
+		totpSecret: '',
+		refreshToken: '',
+	});
+	adapter.accounts.set(id, account);
+	adapter.loadIdMap(account);
+	return account;
+}
+
+module.exports = {
+	createMainAdapter,
+	addAccount,
+};
@@ -0,0 +1,408 @@
+'use strict';
+
+/**
+ * Local stand-in for the Grohe cloud: Keycloak login form, redirects, the ondus:// token
+ * redirect, token exchange, refresh and the Ondus device endpoints used by the adapter.
+ *
+ * const cloud = new MockGroheCloud();
+ * await cloud.start(); // cloud.baseUrl → http://127.0.0.1:<port>/v3/iot
+ */
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const REALM = '/auth/realms/idm-apigw';
+
+/**
+ * @param {object} payload - JWT payload
+ * @returns {string} unsigned JWT
+ */
+function fakeJwt(payload) {
+	const enc = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+	return `${enc({ alg: 'none', typ: 'JWT' })}.${enc(payload)}.sig`;
+}
+
+/**
+ * @param {http.IncomingMessage} req - request
+ * @returns {Promise<string>} body
+ */
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let data = '';
+		req.on('data', chunk => (data += chunk));
+		req.on('end', () => resolve(data));
+		req.on('error', reject);
+	});
+}
+
+/**
+ * @param {string} title - page title
+ * @param {string} body - page content
+ * @returns {string} HTML page
+ */
+function page(title, body) {
+	return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+const LOGIN_FORM = page(
+	'Sign in to GROHE',
+	`<form id="kc-form-login" action="${REALM}/login-actions/authenticate?session_code=sc1&amp;execution=ex1&amp;client_id=iot&amp;tab_id=t1" method="post">
+		<input id="username" name="username" type="text" value="">
+		<input id="password" name="password" type="password">
+		<input type="hidden" id="id-hidden-input" name="credentialId">
+		<input name="login" type="submit" value="Log In">
+	</form>`,
+);
+
+const OTP_FORM = page(
+	'Mobile Authenticator',
+	`<form id="kc-otp-login-form" action="#" method="post">
+		<input id="otp" name="otp" type="text" autocomplete="off">
+		<input name="login" type="submit" value="Log In">
+	</form>`,
+);
+
+/** @returns {Record<string, any>[]} locations of the default account */
+function defaultLocations() {
+	return [
+		{
+			id: 1,
+			name: 'Home',
+			timezone: 'Europe/Berlin',
+			address: { street: 'Teststraße', housenumber: '1', zipcode: '12345', city: 'Berlin', country: 'DE' },
+			rooms: [
+				{
+					id: 10,
+					name: 'Keller',
+					appliances: [
+						{
+							appliance_id: 'guard-1',
+							name: 'Guard',
+							type: 103,
+							serial_number: 'SG1',
+							version: '01.44',
+							data_latest: { measurement: { flowrate: 0, pressure: 3.2, temperature_guard: 14 } },
+							command: { valve_open: true },
+							config: { thresholds: [] },
+							notifications: [],
+						},
+						{
+							appliance_id: 'sense-1',
+							name: 'Sense',
+							type: 101,
+							data_latest: {
+								measurement: {
+									timestamp: '2026-10-19T06:30:00.000+02:00',
+									temperature: 19.5,
+									humidity: 55,
+									battery: 90,
+								},
+							},
+							config: { thresholds: [] },
+							notifications: [],
+						},
+					],
+				},
+			],
+		},
+	];
+}
+
+/** @returns {Record<string, any>} default behaviour, tests change it to provoke error paths */
+function defaultScenario() {
+	return {
+		/** answer the login with an OTP page */
+		mfa: false,
+		/** code accepted on the OTP page */
+		otp: '123456',
+		/** number of authenticate posts answered with "Restart login cookie not found" */
+		restartCookieFailures: 0,
+		/** GET on the redirect URL works; false forces the POST fallbacks */
+		tokenGet: true,
+		/** lifetime of issued access tokens (s) */
+		accessLifetime: 3600,
+		/**
+		 * answers for the next Ondus API requests, one per request, e.g. `{ status: 429, headers: { 'Retry-After': '1' } }`
+		 *
+		 * @type {{ status: number, headers?: Record<string, string> }[]}
+		 */
+		apiErrors: [],
+	};
+}
+
+class MockGroheCloud {
+	constructor() {
+		/** @type {Record<string, string>} e-mail → password */
+		this.users = { 'user@example.com': 'secret' };
+		this.origin = '';
+		this.baseUrl = '';
+		/** @type {http.Server|null} */
+		this.server = null;
+
+		this.scenario = defaultScenario();
+		/** @type {{ method: string, path: string }[]} */
+		this.requests = [];
+		/** @type {Set<string>} */
+		this.codes = new Set();
+		/** @type {Set<string>} */
+		this.accessTokens = new Set();
+		/** @type {Set<string>} */
+		this.refreshTokens = new Set();
+		/** @type {Record<string, any>[]} */
+		this.commands = [];
+		this.locations = defaultLocations();
+	}
+
+	/**
+	 * Default behaviour and fresh data for the next test.
+	 */
+	reset() {
+		this.scenario = defaultScenario();
+		this.requests = [];
+		this.codes.clear();
+		this.accessTokens.clear();
+		this.refreshTokens.clear();
+		this.commands = [];
+		this.locations = defaultLocations();
+	}
+
+	/**
+	 * @returns {Promise<string>} base URL of the Ondus API
+	 */
+	start() {
+		return new Promise(resolve => {
+			this.server = http.createServer((req, res) => {
+				this.handle(req, res).catch(e => this.send(res, 500, { error: String(e?.message || e) }));
+			});
+			this.server.listen(0, '127.0.0.1', () => {
+				const addr = /** @type {import('node:net').AddressInfo} */ (this.server?.address());
+				this.origin = `http://127.0.0.1:${addr.port}`;
+				this.baseUrl = `${this.origin}/v3/iot`;
+				resolve(this.baseUrl);
+			});
+		});
+	}
+
+	/**
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		return new Promise(resolve => {
+			if (!this.server) {
+				return resolve();
+			}
+			this.server.closeAllConnections();
+			this.server.close(() => resolve());
+			this.server = null;
+		});
+	}
+
+	/**
+	 * Issue a new token pair.
+	 *
+	 * @returns {Record<string, any>} token response
+	 */
+	issueTokens() {
+		const exp = Math.floor(Date.now() / 1000) + this.scenario.accessLifetime;
+		const access = fakeJwt({ exp, jti: crypto.randomUUID() });
+		const refresh = `rt-${crypto.randomUUID()}`;
+		this.accessTokens.add(access);
+		this.refreshTokens.add(refresh);
+		return {
+			access_token: access,
+			refresh_token: refresh,
+			expires_in: this.scenario.accessLifetime,
+			token_type: 'Bearer',
+		};
+	}
+
+	/**
+	 * The app redirect that ends a successful login, also what a user copies from the browser.
+	 *
+	 * @returns {string} ondus:// URL with a fresh single-use code
+	 */
+	ondusRedirect() {
+		const code = crypto.randomUUID();
+		this.codes.add(code);
+		const host = this.origin.replace(/^http:\/\//, '');
+		return `ondus://${host}/v3/iot/oidc/token?state=st1&session_state=ss1&code=${code}`;
+	}
+
+	/** Invalidate all access tokens (simulates expiry), refresh tokens stay valid */
+	expireAccessTokens() {
+		this.accessTokens.clear();
+	}
+
+	/**
+	 * @param {string} path - request path
+	 * @returns {number} number of requests to the path
+	 */
+	count(path) {
+		return this.requests.filter(r => r.path === path).length;
+	}
+
+	/**
+	 * @param {http.ServerResponse} res - response
+	 * @param {number} status - HTTP status
+	 * @param {any} [body] - JSON body or HTML string
+	 * @param {Record<string, string>} [headers] - extra headers
+	 */
+	send(res, status, body, headers) {
+		const html = typeof body === 'string';
+		res.writeHead(status, {
+			'Content-Type': html ? 'text/html; charset=utf-8' : 'application/json',
+			...headers,
+		});
+		res.end(body === undefined ? '' : html ? body : JSON.stringify(body));
+	}
+
+	/**
+	 * @param {http.ServerResponse} res - response
+	 * @param {string} location - redirect target
+	 * @param {Record<string, string>} [headers] - extra headers
+	 */
+	redirect(res, location, headers) {
+		res.writeHead(302, { Location: location, ...headers });
+		res.end();
+	}
+
+	/**
+	 * @param {http.IncomingMessage} req - request
+	 * @param {http.ServerResponse} res - response
+	 */
+	async handle(req, res) {
+		const url = new URL(req.url || '/', this.origin);
+		const path = url.pathname;
+		const method = req.method || 'GET';
+		this.requests.push({ method, path });
+		const body = method === 'GET' ? '' : await readBody(req);
+
+		// ---- Keycloak login ----
+		if (path === '/v3/iot/oidc/login') {
+			const redirectUri = encodeURIComponent('ondus://ondus.grohe.com/v3/iot/oidc/token');
+			return this.redirect(
+				res,
+				`${this.origin}${REALM}/protocol/openid-connect/auth?client_id=iot&redirect_uri=${redirectUri}&state=st1`,
+			);
+		}
+		if (path === `${REALM}/protocol/openid-connect/auth`) {
+			return this.send(res, 200, LOGIN_FORM, {
+				'Set-Cookie': `KC_RESTART=${crypto.randomUUID()}; Path=${REALM}/; HttpOnly`,
+			});
+		}
+		if (path === `${REALM}/login-actions/authenticate`) {
+			const cookie = String(req.headers.cookie || '');
+			if (!cookie.includes('KC_RESTART=') || this.scenario.restartCookieFailures > 0) {
+				this.scenario.restartCookieFailures = Math.max(0, this.scenario.restartCookieFailures - 1);
+				return this.send(res, 200, page('Error', '<p>Restart login cookie not found.</p>'));
+			}
+			const form = new URLSearchParams(body);
+			if (form.has('otp')) {
+				if (form.get('otp') !== this.scenario.otp) {
+					return this.send(res, 200, OTP_FORM.replace('<form', '<p>Invalid authenticator code.</p><form'));
+				}
+				return this.redirect(res, `${REALM}/login-actions/required-action?execution=done`);
+			}
+			const email = form.get('username') || '';
+			if (!email || this.users[email] !== form.get('password')) {
+				return this.send(res, 200, LOGIN_FORM.replace('<form', '<p>Invalid username or password.</p><form'));
+			}
+			if (this.scenario.mfa) {
+				return this.send(res, 200, OTP_FORM);
+			}
+			// one intermediate hop like Keycloak's required actions
+			return this.redirect(res, `${REALM}/login-actions/required-action?execution=done`);
+		}
+		if (path === `${REALM}/login-actions/required-action`) {
+			return this.redirect(res, this.ondusRedirect());
+		}
+
+		// ---- token exchange / refresh ----
+		if (path === '/v3/iot/oidc/token') {
+			let code = null;
+			if (method === 'GET') {
+				if (!this.scenario.tokenGet) {
+					return this.send(res, 404, { error: 'not_found' });
+				}
+				code = url.searchParams.get('code');
+			} else {
+				const requestBody = String(req.headers['content-type']).includes('json')
+					? JSON.parse(body || '{}').requestBody
+					: new URLSearchParams(body).get('requestBody');
+				code = requestBody ? new URL(requestBody).searchParams.get('code') : null;
+			}
+			if (!code || !this.codes.delete(code)) {
+				return this.send(res, 400, { error: 'invalid_grant' });
+			}
+			return this.send(res, 200, this.issueTokens());
+		}
+		if (path === '/v3/iot/oidc/refresh' && method === 'POST') {
+			const rt = JSON.parse(body || '{}').refresh_token;
+			if (!rt || !this.refreshTokens.delete(rt)) {
+				return this.send(res, 401, { error: 'invalid_grant', error_description: 'Token is not active' });
+			}
+			return this.send(res, 200, this.issueTokens());
+		}
+
+		// ---- Ondus API (bearer token required) ----
+		const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+		if (!this.accessTokens.has(token)) {
+			return this.send(res, 401, { code: 401, message: 'Unauthorized' });
+		}
+		const failure = this.scenario.apiErrors.shift();
+		if (failure) {
+			return this.send(
+				res,
+				failure.status,
+				{ code: failure.status, message: 'Simulated error' },
+				failure.headers,
+			);
+		}
+
+		if (path === '/v3/iot/dashboard') {
+			return this.send(res, 200, { locations: this.locations });
+		}
+
+		const m = path.match(/^\/v3\/iot\/locations\/([^/]+)\/rooms\/([^/]+)\/appliances\/([^/]+)(?:\/(.+))?$/);
+		const app = m && this.findAppliance(m[3]);
+		if (!m || !app) {
+			return this.send(res, 404, { code: 404, message: 'Not found' });
+		}
+		const action = m[4] || '';
+
+		if (action === 'command' && method === 'POST') {
+			const cmd = JSON.parse(body || '{}');
+			this.commands.push(cmd);
+			app.command = { ...app.command, ...cmd.command };
+			return this.send(res, 200, cmd);
+		}
+		if (action === 'command') {
+			return this.send(res, 200, { appliance_id: app.appliance_id, command: app.command || {} });
+		}
+		if (action === 'details' || action === '') {
+			return this.send(res, 200, app);
+		}
+		if (action === 'notifications') {
+			return this.send(res, 200, app.notifications || []);
+		}
+		return this.send(res, 404, { code: 404, message: 'Not found' });
+	}
+
+	/**
+	 * @param {string} applianceId - appliance_id
+	 * @returns {Record<string, any>|undefined} appliance of the account
+	 */
+	findAppliance(applianceId) {
+		for (const location of this.locations) {
+			for (const room of location.rooms || []) {
+				const app = (room.appliances || []).find(a => a.appliance_id === applianceId);
+				if (app) {
+					return app;
+				}
+			}
+		}
+		return undefined;
+	}
+}
+
+module.exports = MockGroheCloud;
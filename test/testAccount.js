@@ -0,0 +1,29 @@
+'use strict';
+
+const { expect } = require('chai');
+const { decryptAccountRows, encryptAccountRows } = require('../lib/account');
+
+// reversible stand-in for the system secret encryption, with the prefix of js-controller
+const encrypt = value => `$/aes-192-cbc:${Buffer.from(value).toString('base64')}`;
+const decrypt = value => Buffer.from(value.replace('$/aes-192-cbc:', ''), 'base64').toString();
+
+describe('Additional accounts', () => {
+	it('decrypts passwords and 2FA secrets and reports rows still in plain text', () => {
+		const saved = [
+			{ email: 'a@example.com', password: encrypt('pw1'), totpSecret: '' },
+			{ email: 'b@example.com', password: 'pw2', totpSecret: 'JBSWY3DPEHPK3PXP' },
+		];
+
+		const { rows, plain } = decryptAccountRows(saved, decrypt);
+
+		expect(plain).to.equal(true);
+		expect(rows.map(r => r.password)).to.deep.equal(['pw1', 'pw2']);
+		expect(rows[1].totpSecret).to.equal('JBSWY3DPEHPK3PXP');
+		expect(saved[0].password).to.match(/^\$\/aes-192-cbc:/);
+
+		const migrated = encryptAccountRows(rows, encrypt);
+		expect(migrated[0]).to.deep.equal({ email: 'a@example.com', password: encrypt('pw1'), totpSecret: '' });
+		expect(migrated[1].totpSecret).to.equal(encrypt('JBSWY3DPEHPK3PXP'));
+		expect(decryptAccountRows(migrated, decrypt)).to.deep.equal({ rows, plain: false });
+	});
+});
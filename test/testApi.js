@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { expect } = require('chai');
+const GroheApi = require('../lib/api');
+const GroheTokenManager = require('../lib/tokens');
+const GroheTokenStore = require('../lib/tokenStore');
+const { applianceKey, applianceRows } = require('../lib/appliances');
+const MockGroheCloud = require('./lib/mockGroheCloud');
+const { GUARD, createAdapterStub } = require('./lib/adapterStub');
+
+describe('GroheApi and token handling against the mock cloud', function () {
+	this.timeout(10000);
+
+	const cloud = new MockGroheCloud();
+
+	before(() => cloud.start());
+	after(() => cloud.stop());
+	beforeEach(() => cloud.reset());
+
+	/** @returns {GroheApi} API client pointed at the mock */
+	const createApi = () => new GroheApi(createAdapterStub(), { baseUrl: cloud.baseUrl, maxRequestsPerMinute: 600 });
+
+	describe('refresh()', () => {
+		it('returns a new access token and rotates the refresh token', async () => {
+			const issued = cloud.issueTokens();
+			const api = createApi();
+			api.setRefreshToken(issued.refresh_token);
+
+			const { accessToken, refreshToken } = await api.refresh();
+
+			expect(accessToken).to.not.equal(issued.access_token);
+			expect(refreshToken).to.not.equal(issued.refresh_token);
+			expect(api.accessToken).to.equal(accessToken);
+		});
+
+		it('flags a rejected refresh token as INVALID_REFRESH_TOKEN', async () => {
+			const api = createApi();
+			api.setRefreshToken('rt-unknown');
+			await api.refresh().should.be.rejected.and.eventually.have.property('code', 'INVALID_REFRESH_TOKEN');
+		});
+
+		it('flags a missing refresh token as NO_REFRESH_TOKEN', async () => {
+			await createApi().refresh().should.be.rejected.and.eventually.have.property('code', 'NO_REFRESH_TOKEN');
+		});
+	});
+
+	describe('request()', () => {
+		it('reads the dashboard with a valid token', async () => {
+			const api = createApi();
+			api.setAccessToken(cloud.issueTokens().access_token);
+
+			const { locations = [] } = await api.getDashboard();
+			expect(locations).to.have.length(1);
+			expect(locations[0].rooms[0].appliances.map(a => a.appliance_id)).to.deep.equal(['guard-1', 'sense-1']);
+		});
+
+		it('refreshes once and repeats the request after a 401', async () => {
+			const issued = cloud.issueTokens();
+			const api = createApi();
+			api.setAccessToken(issued.access_token);
+			api.setRefreshToken(issued.refresh_token);
+			cloud.expireAccessTokens();
+
+			const dashboard = await api.getDashboard();
+			expect(dashboard.locations).to.have.length(1);
+			expect(cloud.count('/v3/iot/oidc/refresh')).to.equal(1);
+			expect(cloud.count('/v3/iot/dashboard')).to.equal(2);
+		});
+
+		it('turns the dashboard into Devices table rows and keeps their switches', async () => {
+			const api = createApi();
+			api.setAccessToken(cloud.issueTokens().access_token);
+			const previous = new Map([
+				[applianceKey('main', 'guard-1'), { applianceId: 'guard-1', writeEnabled: false }],
+			]);
+
+			const rows = applianceRows({ id: 'main', name: 'Grohe' }, await api.getDashboard(), previous, () => 1000);
+
+			expect(rows.map(r => [r.applianceId, r.type, r.room, r.enabled, r.writeEnabled])).to.deep.equal([
+				['guard-1', 'SENSE_GUARD', 'Keller', true, false],
+				['sense-1', 'SENSE', 'Keller', true, true],
+			]);
+			expect(rows[0].lastSeen).to.equal(new Date(1000).toLocaleString());
+			expect(rows[1].lastSeen).to.equal(new Date('2026-10-19T06:30:00.000+02:00').toLocaleString());
+		});
+
+		it('sends appliance commands to the command endpoint', async () => {
+			const api = createApi();
+			api.setAccessToken(cloud.issueTokens().access_token);
+
+			await api.setValve(GUARD, false);
+			expect(cloud.commands).to.deep.equal([
+				{ appliance_id: 'guard-1', type: 103, command: { valve_open: false } },
+			]);
+			const cmd = await api.getCommand(GUARD);
+			expect(cmd.command.valve_open).to.equal(false);
+		});
+	});
+
+	describe('retries and circuit breaker', () => {
+		/** @returns {{ api: GroheApi, adapter: any }} API client with a valid token and without request spacing */
+		const createFastApi = () => {
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl, maxRequestsPerMinute: 600 });
+			api.setAccessToken(cloud.issueTokens().access_token);
+			api.minSpacingMs = 0;
+			return { api, adapter };
+		};
+		/**
+		 * @param {number} count - failed requests to simulate
+		 * @returns {{ status: number, headers: Record<string, string> }[]} 503 answers retried without delay
+		 */
+		const unavailable = count =>
+			Array.from({ length: count }, () => ({ status: 503, headers: { 'Retry-After': '0' } }));
+
+		it('waits as long as Retry-After asks and repeats the request after a 429', async () => {
+			const { api, adapter } = createFastApi();
+			cloud.scenario.apiErrors = [{ status: 429, headers: { 'Retry-After': '1' } }];
+
+			const started = Date.now();
+			const dashboard = await api.getDashboard();
+
+			expect(dashboard.locations).to.have.length(1);
+			expect(Date.now() - started).to.be.at.least(900);
+			expect(cloud.count('/v3/iot/dashboard')).to.equal(2);
+			expect(adapter.states['info.backoffUntil']).to.equal(0);
+		});
+
+		it('pauses the API instead of sleeping when Retry-After is long', async () => {
+			const { api } = createFastApi();
+			cloud.scenario.apiErrors = [{ status: 429, headers: { 'Retry-After': '120' } }];
+
+			await api.getDashboard().should.be.rejected;
+			expect(api.isBlocked()).to.equal(true);
+			expect(api.blockedUntil - Date.now()).to.be.within(115000, 120000);
+
+			await api.getDashboard().should.be.rejected.and.eventually.have.property('code', 'API_BLOCKED');
+			expect(cloud.count('/v3/iot/dashboard')).to.equal(1);
+		});
+
+		it('opens the circuit after 5 failed requests and doubles the pause', async () => {
+			const { api, adapter } = createFastApi();
+			cloud.scenario.apiErrors = unavailable(5 * 4);
+
+			for (let i = 0; i < 4; i++) {
+				await api.getDashboard().should.be.rejected;
+				expect(api.isBlocked()).to.equal(false);
+			}
+			await api.getDashboard().should.be.rejected;
+			expect(cloud.count('/v3/iot/dashboard')).to.equal(20);
+			expect(api.blockedUntil - Date.now()).to.be.within(4.9 * 60000, 5 * 60000);
+			expect(adapter.logs.warn[0]).to.match(/5 failures in a row, pausing for 5 min/);
+
+			// the pause is over, the next failure pauses twice as long
+			api.blockedUntil = 0;
+			cloud.scenario.apiErrors = unavailable(4);
+			await api.getDashboard().should.be.rejected;
+			expect(api.blockedUntil - Date.now()).to.be.within(9.9 * 60000, 10 * 60000);
+			expect(api.breakerCooldownMs).to.equal(20 * 60000);
+		});
+
+		it('closes the circuit and resets the pause after a success', async () => {
+			const { api, adapter } = createFastApi();
+			cloud.scenario.apiErrors = unavailable(5 * 4);
+			for (let i = 0; i < 5; i++) {
+				await api.getDashboard().should.be.rejected;
+			}
+			expect(api.isBlocked()).to.equal(true);
+
+			api.blockedUntil = 0;
+			await api.getDashboard();
+
+			expect(api.consecutiveFailures).to.equal(0);
+			expect(api.breakerCooldownMs).to.equal(5 * 60000);
+			expect(api.isBlocked()).to.equal(false);
+			expect(adapter.states['info.backoffUntil']).to.equal(0);
+			expect(adapter.logs.info).to.include('Grohe API reachable again');
+		});
+	});
+
+	describe('GroheTokenManager', () => {
+		/** @type {GroheTokenManager|null} */
+		let tokens = null;
+		afterEach(() => tokens?.stop());
+
+		it('uses the saved refresh token without a web login', async () => {
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl });
+			tokens = new GroheTokenManager(adapter, api, { email: 'user@example.com', password: 'secret' });
+
+			const method = await tokens.init(cloud.issueTokens().refresh_token);
+
+			expect(method).to.equal('refresh');
+			expect(cloud.count('/v3/iot/oidc/login')).to.equal(0);
+			expect(adapter.states['info.tokenValid']).to.equal(true);
+			expect(adapter.persistedRefreshToken).to.equal(api.refreshToken);
+		});
+
+		it('falls back to the web login when the saved refresh token is rejected', async () => {
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl });
+			tokens = new GroheTokenManager(adapter, api, { email: 'user@example.com', password: 'secret' });
+
+			const method = await tokens.init('rt-expired');
+
+			expect(method).to.equal('web_login');
+			expect(cloud.accessTokens.has(String(api.accessToken))).to.equal(true);
+			expect(adapter.persistedRefreshToken).to.equal(api.refreshToken);
+		});
+
+		it('keeps info states and refresh token of an additional account apart', async () => {
+			const adapter = createAdapterStub();
+			const infoPrefix = 'accounts.ops_example_com.info';
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl, infoPrefix });
+			tokens = new GroheTokenManager(adapter, api, {
+				email: 'user@example.com',
+				password: 'secret',
+				account: 'ops_example_com',
+				infoPrefix,
+			});
+
+			await tokens.init('');
+			await api.getDashboard();
+
+			expect(adapter.states[`${infoPrefix}.tokenValid`]).to.equal(true);
+			expect(adapter.states[`${infoPrefix}.apiCalls`]).to.equal(1);
+			expect(adapter.states['info.tokenValid']).to.equal(undefined);
+			expect(adapter.persistedAccount).to.equal('ops_example_com');
+		});
+
+		it('takes over a manual browser login without stored credentials', async () => {
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl });
+			tokens = new GroheTokenManager(adapter, api, {});
+
+			await tokens.init('').should.be.rejectedWith(/email\/password/i);
+			await tokens.manualLogin(cloud.ondusRedirect());
+
+			expect(cloud.accessTokens.has(String(api.accessToken))).to.equal(true);
+			expect(adapter.persistedRefreshToken).to.equal(api.refreshToken);
+			expect(adapter.states['info.tokenValid']).to.equal(true);
+			expect(adapter.states['info.loginStep']).to.equal('ready');
+		});
+
+		it('pauses the web login until the one-time code is submitted', async () => {
+			cloud.scenario.mfa = true;
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl });
+			const manager = new GroheTokenManager(adapter, api, { email: 'user@example.com', password: 'secret' });
+			tokens = manager;
+
+			const pending = manager.init('');
+			while (!adapter.states['info.otpRequired']) {
+				await new Promise(resolve => setTimeout(resolve, 10));
+			}
+			expect(manager.submitOtp('123456')).to.equal(true);
+
+			expect(await pending).to.equal('web_login');
+			expect(adapter.states['info.otpRequired']).to.equal(false);
+			expect(manager.submitOtp('123456')).to.equal(false);
+		});
+
+		it('fails without credentials when the saved refresh token is rejected', async () => {
+			const adapter = createAdapterStub();
+			const api = new GroheApi(adapter, { baseUrl: cloud.baseUrl });
+			tokens = new GroheTokenManager(adapter, api, {});
+
+			await tokens.init('rt-expired').should.be.rejectedWith(/email\/password/i);
+		});
+	});
+
+	describe('GroheTokenStore', () => {
+		/** @type {string} */
+		let dir = '';
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grohe-tokens-'));
+		});
+		afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+		it('keeps refresh tokens per account encrypted across restarts', async () => {
+			const adapter = createAdapterStub();
+			const store = new GroheTokenStore(adapter, dir);
+			await store.load();
+
+			expect(await store.set('main', 'rt-1')).to.equal(true);
+			expect(await store.set('main', 'rt-1')).to.equal(false);
+			await store.set('ops_example_com', 'rt-2');
+
+			const raw = fs.readFileSync(path.join(dir, 'tokens.json'), 'utf8');
+			expect(raw).to.not.include('rt-1');
+
+			const reloaded = new GroheTokenStore(adapter, dir);
+			await reloaded.load();
+			expect(reloaded.get('main')).to.equal('rt-1');
+			expect(reloaded.get('ops_example_com')).to.equal('rt-2');
+			expect(reloaded.get('other')).to.equal('');
+		});
+
+		it('starts empty when the file is damaged', async () => {
+			fs.writeFileSync(path.join(dir, 'tokens.json'), '{broken');
+			const adapter = createAdapterStub();
+			const store = new GroheTokenStore(adapter, dir);
+			await store.load();
+
+			expect(store.get('main')).to.equal('');
+			expect(adapter.logs.warn).to.have.length(1);
+		});
+	});
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheStateCache = require('../lib/cache');
+const { createDatabaseAdapter } = require('./lib/adapterStub');
+
+describe('State cache', () => {
+	it('writes only changed values and repeats a failed write', async () => {
+		const adapter = createDatabaseAdapter();
+		const cache = new GroheStateCache(adapter);
+		await cache.load();
+
+		await cache.setState('Home.Keller.Guard.valveOpen', { val: true, ack: true });
+		expect(adapter.stateWrites).to.have.length(0);
+
+		adapter.failWrites = true;
+		await cache
+			.setState('Home.Keller.Guard.valveOpen', { val: false, ack: true })
+			.should.be.rejectedWith(/DB closed/);
+		expect(cache.getValue('Home.Keller.Guard.valveOpen')).to.equal(true);
+
+		adapter.failWrites = false;
+		await cache.setState('Home.Keller.Guard.valveOpen', { val: false, ack: true });
+		await cache.setState('Home.Keller.Guard.valveOpen', { val: false, ack: true });
+		expect(adapter.stateWrites).to.deep.equal([['Home.Keller.Guard.valveOpen', false]]);
+	});
+
+	it('keeps one entry per state for full and local IDs', async () => {
+		const adapter = createDatabaseAdapter();
+		const cache = new GroheStateCache(adapter);
+		await cache.load();
+
+		await cache.setState('grohe-smarthome.0.Home.Keller.Guard.refreshNow', { val: false, ack: true });
+		await cache.setState('Home.Keller.Guard.refreshNow', { val: false, ack: true });
+		cache.observe('grohe-smarthome.0.Home.Keller.Guard.valveOpen', {
+			val: false,
+			ack: true,
+			ts: 2,
+			lc: 2,
+			from: 'x',
+		});
+		await cache.setState('grohe-smarthome.0.Home.Keller.Guard.valveOpen', { val: false, ack: true });
+
+		expect(adapter.stateWrites).to.deep.equal([['Home.Keller.Guard.refreshNow', false]]);
+		expect([...cache.states.keys()]).to.deep.equal(['Home.Keller.Guard.valveOpen', 'Home.Keller.Guard.refreshNow']);
+	});
+
+	it('reads values from the database only when they are not cached', async () => {
+		const adapter = createDatabaseAdapter();
+		/** @type {string[]} */
+		const reads = [];
+		adapter.getStateAsync = async id => {
+			reads.push(id);
+			return id === 'rules.Keller.active' ? { val: true, ack: true, ts: 1 } : null;
+		};
+		const cache = new GroheStateCache(adapter);
+		await cache.load();
+
+		expect(await cache.readValue('grohe-smarthome.0.Home.Keller.Guard.valveOpen')).to.equal(true);
+		expect(await cache.readValue('rules.Keller.active')).to.equal(true);
+		expect(await cache.readValue('rules.Keller.active')).to.equal(true);
+		expect(await cache.readValue('rules.Keller.reason')).to.equal(undefined);
+
+		expect(reads).to.deep.equal(['rules.Keller.active', 'rules.Keller.reason']);
+	});
+
+	it('writes values of new objects after the objects were created', async () => {
+		const adapter = createDatabaseAdapter();
+		const cache = new GroheStateCache(adapter);
+		await cache.load();
+
+		cache.ensureObject('Home.Keller.Guard.pressure', { type: 'state', common: { name: 'Pressure' } });
+		await cache.setState('Home.Keller.Guard.pressure', { val: 3.1, ack: true });
+		expect(cache.getValue('Home.Keller.Guard.pressure')).to.equal(undefined);
+
+		await cache.flush();
+		expect(adapter.objectWrites).to.deep.equal(['Home.Keller.Guard.pressure']);
+		expect(adapter.stateWrites).to.deep.equal([['Home.Keller.Guard.pressure', 3.1]]);
+		expect(cache.getValue('Home.Keller.Guard.pressure')).to.equal(3.1);
+	});
+
+	it('follows objects changed or deleted by others', async () => {
+		const adapter = createDatabaseAdapter();
+		const cache = new GroheStateCache(adapter);
+		await cache.load();
+
+		const changed = { type: 'state', common: { name: 'Valve', custom: { 'history.0': { enabled: true } } } };
+		cache.observeObject('grohe-smarthome.0.Home.Keller.Guard.valveOpen', /** @type {any} */ (changed));
+		cache.observeObject('javascript.0.Home', null);
+		expect(cache.getObject('Home.Keller.Guard.valveOpen')).to.equal(changed);
+
+		cache.observeObject('grohe-smarthome.0.Home.Keller.Guard.valveOpen', null);
+		expect(cache.getObject('Home.Keller.Guard.valveOpen')).to.equal(undefined);
+
+		// recreated and written again although the value did not change
+		cache.ensureObject('Home.Keller.Guard.valveOpen', { type: 'state', common: { name: 'Valve open' } });
+		await cache.setState('Home.Keller.Guard.valveOpen', { val: true, ack: true });
+		await cache.flush();
+		expect(adapter.objectWrites).to.deep.equal(['Home.Keller.Guard.valveOpen']);
+		expect(adapter.stateWrites).to.deep.equal([['Home.Keller.Guard.valveOpen', true]]);
+	});
+});
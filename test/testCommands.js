@@ -0,0 +1,86 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GroheCommandQueue = require('../lib/commands');
+const { GUARD, createAdapterStub, createValveApi } = require('./lib/adapterStub');
+
+describe('Command queue', () => {
+	/** @type {sinon.SinonFakeTimers} */
+	let clock;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'Date'] });
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	it('confirms a valve command once the appliance reports the new position', async () => {
+		const adapter = createAdapterStub();
+		const api = createValveApi(call => ({ command: { valve_open: call >= 2 } }));
+		const commands = new GroheCommandQueue(adapter, api, { timeoutMs: 30000, intervalMs: 3000 });
+
+		const result = commands.setValve(GUARD, true, 'system.adapter.admin.0');
+		await clock.tickAsync(6000);
+
+		expect(await result).to.deep.equal({ status: 'confirmed', valveOpen: true });
+		expect(api.setValveCalls).to.deep.equal([true]);
+		expect(api.getCommandCalls).to.equal(2);
+		expect(adapter.states['Home.Keller.Guard.valveOpen']).to.equal(true);
+		expect(adapter.states['Home.Keller.Guard.commandStatus']).to.equal('confirmed');
+		expect(JSON.parse(adapter.states['Home.Keller.Guard.commandLast'])).to.include({
+			command: 'valveOpen',
+			status: 'confirmed',
+			origin: 'system.adapter.admin.0',
+		});
+	});
+
+	it('times out when the position cannot be read back', async () => {
+		const adapter = createAdapterStub();
+		const api = createValveApi(() => {
+			throw new Error('offline');
+		});
+		const commands = new GroheCommandQueue(adapter, api, { timeoutMs: 10000, intervalMs: 2000 });
+
+		const result = commands.setValve(GUARD, false, 'sendTo');
+		await clock.tickAsync(12000);
+
+		const res = await result;
+		expect(res.status).to.equal('timeout');
+		expect(res.valveOpen).to.equal(undefined);
+		expect(res.error).to.equal('Valve does not report closed after 10 s');
+		expect(adapter.states['Home.Keller.Guard.commandStatus']).to.equal('timeout');
+		expect(adapter.logs.error[0]).to.match(/valveClose timeout/);
+	});
+
+	it('reports the actual position when the valve never reaches the requested one', async () => {
+		const adapter = createAdapterStub();
+		const api = createValveApi(() => ({ valve_open: true }));
+		const commands = new GroheCommandQueue(adapter, api, { timeoutMs: 10000, intervalMs: 2000 });
+
+		const result = commands.setValve(GUARD, false, 'rule:Keller');
+		await clock.tickAsync(12000);
+
+		expect(await result).to.include({ status: 'timeout', valveOpen: true });
+		expect(api.getCommandCalls).to.equal(5);
+		expect(adapter.states['Home.Keller.Guard.valveOpen']).to.equal(undefined);
+		expect(adapter.events.map(e => e.event.status)).to.deep.equal([undefined, 'timeout']);
+	});
+
+	it('runs commands of one appliance one after another', async () => {
+		const adapter = createAdapterStub();
+		const api = createValveApi(() => ({ valve_open: false }));
+		const commands = new GroheCommandQueue(adapter, api, { timeoutMs: 10000, intervalMs: 1000 });
+
+		/** @type {string[]} */
+		const order = [];
+		const close = commands.setValve(GUARD, false).then(() => order.push('close'));
+		const other = commands.run(GUARD, 'unsnooze', undefined, async () => order.push('unsnooze'));
+		await clock.tickAsync(1000);
+		await Promise.all([close, other]);
+
+		expect(order).to.deep.equal(['close', 'unsnooze']);
+	});
+});
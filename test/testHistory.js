@@ -0,0 +1,84 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheHistory = require('../lib/history');
+const { GUARD, createAdapterStub } = require('./lib/adapterStub');
+
+const BERLIN = { timezone: 'Europe/Berlin' };
+// 00:30 in Berlin, still the previous day in UTC
+const NOV_1 = Date.parse('2026-11-01T00:30:00+01:00');
+
+/**
+ * @param {Record<string, any[]>} withdrawals - groupBy → withdrawals the cloud reports
+ * @returns {any} API stub recording the requested ranges
+ */
+function createHistoryApi(withdrawals) {
+	const api = {
+		calls: /** @type {string[]} */ ([]),
+		async getAggregated(ref, groupBy, from, to) {
+			api.calls.push(`${groupBy} ${from}..${to}`);
+			return { withdrawals: withdrawals[groupBy] || [] };
+		},
+	};
+	return api;
+}
+
+describe('History import', () => {
+	it('fetches at least the last month on the first import, on days of the location', async () => {
+		const adapter = createAdapterStub();
+		const api = createHistoryApi({
+			day: [
+				{ date: '2026-09-30', waterconsumption: 100 },
+				{ date: '2026-10-01', waterconsumption: 10 },
+				{ date: '2026-10-31', waterconsumption: 20 },
+				{ date: '2026-11-01', waterconsumption: 5 },
+			],
+		});
+		const history = new GroheHistory(adapter, api, { backfillDays: 7 });
+
+		await history.update(GUARD, BERLIN, NOV_1);
+
+		expect(api.calls).to.deep.equal([
+			'hour 2026-10-25..2026-11-01',
+			'day 2026-10-01..2026-11-01',
+			'week 2026-09-24..2026-11-01',
+			'month 2026-10-01..2026-11-01',
+		]);
+		const s = adapter.states;
+		expect(s['Home.Keller.Guard.history.today']).to.equal(5);
+		expect(s['Home.Keller.Guard.history.yesterday']).to.equal(20);
+		expect(s['Home.Keller.Guard.history.thisMonth']).to.equal(5);
+		expect(s['Home.Keller.Guard.history.lastMonth']).to.equal(30);
+		expect(s['Home.Keller.Guard.history.lastFetch']).to.equal(NOV_1);
+	});
+
+	it('merges new entries into the stored series and drops expired ones', async () => {
+		const adapter = createAdapterStub();
+		adapter.states['Home.Keller.Guard.history.lastFetch'] = Date.parse('2026-10-31T12:00:00+01:00');
+		adapter.states['Home.Keller.Guard.history.day'] = JSON.stringify({
+			withdrawals: [
+				{ date: '2026-08-01', waterconsumption: 1 },
+				{ date: '2026-10-30', waterconsumption: 7 },
+				{ date: '2026-10-31', waterconsumption: 12 },
+			],
+		});
+		const api = createHistoryApi({
+			day: [
+				{ date: '2026-10-31', waterconsumption: 20 },
+				{ date: '2026-11-01', waterconsumption: 5 },
+			],
+		});
+		const history = new GroheHistory(adapter, api);
+
+		await history.update(GUARD, BERLIN, NOV_1);
+
+		expect(api.calls[1]).to.equal('day 2026-10-30..2026-11-01');
+		const day = JSON.parse(adapter.states['Home.Keller.Guard.history.day']);
+		expect(day.withdrawals).to.deep.equal([
+			{ date: '2026-10-30', waterconsumption: 7 },
+			{ date: '2026-10-31', waterconsumption: 20 },
+			{ date: '2026-11-01', waterconsumption: 5 },
+		]);
+		expect(adapter.states['Home.Keller.Guard.history.lastMonth']).to.equal(27);
+	});
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const { SCHEMAS } = require('../lib/schema');
+
+const I18N_DIR = path.join(__dirname, '..', 'lib', 'i18n');
+const LANGUAGES = ['en', 'de', 'es', 'fr', 'it', 'nl', 'pl', 'pt', 'ru', 'uk', 'zh-cn'];
+
+/**
+ * @param {string} lang - language code
+ * @returns {Record<string, string>} translations
+ */
+function load(lang) {
+	return JSON.parse(fs.readFileSync(path.join(I18N_DIR, `${lang}.json`), 'utf8'));
+}
+
+describe('Translations of object names and log messages', () => {
+	const en = load('en');
+
+	it('has every key in every language with the same placeholders', () => {
+		for (const lang of LANGUAGES) {
+			const texts = load(lang);
+			expect(Object.keys(texts).sort(), lang).to.deep.equal(Object.keys(en).sort());
+			for (const [key, text] of Object.entries(texts)) {
+				expect(text, `${lang}: ${key}`).to.be.a('string').that.is.not.empty;
+				expect(text.split('%s').length, `${lang}: ${key}`).to.equal(key.split('%s').length);
+			}
+		}
+	});
+
+	it('knows every text passed to t() and tName()', () => {
+		const files = [
+			path.join(__dirname, '..', 'main.js'),
+			...fs
+				.readdirSync(path.join(__dirname, '..', 'lib'))
+				.filter(f => f.endsWith('.js'))
+				.map(f => path.join(__dirname, '..', 'lib', f)),
+		];
+		const missing = [];
+		for (const file of files) {
+			const source = fs.readFileSync(file, 'utf8');
+			for (const [, key] of source.matchAll(/\b(?:t|tName)\(\s*'((?:[^'\\]|\\.)*)'/g)) {
+				const text = key.replace(/\\'/g, "'");
+				if (!(text in en)) {
+					missing.push(`${path.basename(file)}: ${text}`);
+				}
+			}
+		}
+		expect(missing).to.deep.equal([]);
+	});
+
+	it('knows the names, channels and states of all appliance schemas', () => {
+		const missing = [];
+		for (const schema of Object.values(SCHEMAS)) {
+			const texts = [
+				...Object.values(schema.channels || {}),
+				...schema.fields.flatMap(f => [f.name, ...Object.values(f.states || {})]),
+			];
+			missing.push(...texts.filter(text => !(text in en)));
+		}
+		expect(missing).to.deep.equal([]);
+	});
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { expect } = require('chai');
+const GroheCommandQueue = require('../lib/commands');
+const GroheJournal = require('../lib/journal');
+const { GUARD, createAdapterStub } = require('./lib/adapterStub');
+
+describe('Event journal', () => {
+	/** @type {string} */
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grohe-journal-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('keeps the latest events in the state, newest first, and reloads them from the file', async () => {
+		const adapter = createAdapterStub();
+		const journal = new GroheJournal(adapter, dir, { size: 2 });
+
+		await journal.add(GUARD, { type: 'leakStart', origin: 'cloud', text: 'Leak detected', ts: 1000 });
+		await journal.add(GUARD, { type: 'command', command: 'valveClose', origin: 'rule:r1', error: '', ts: 2000 });
+		await journal.add(GUARD, { type: 'leakEnd', origin: 'cloud', ts: 3000 });
+
+		const state = JSON.parse(adapter.states['Home.Keller.Guard.journal']);
+		expect(state.map(e => e.type)).to.deep.equal(['leakEnd', 'command']);
+		expect(state[1]).to.deep.equal({ ts: 2000, type: 'command', command: 'valveClose', origin: 'rule:r1' });
+
+		fs.appendFileSync(path.join(dir, 'journal', journal.fileName(GUARD)), '{"ts":4000,"type":"al');
+		const reloaded = new GroheJournal(createAdapterStub(), dir);
+		expect((await reloaded.read(GUARD)).map(e => e.ts)).to.deep.equal([1000, 2000, 3000]);
+	});
+
+	it('exports a time range as CSV', async () => {
+		const journal = new GroheJournal(createAdapterStub(), dir);
+		await journal.add(GUARD, { type: 'alarm', text: 'old', ts: Date.parse('2026-10-01T00:00:00Z') });
+		await journal.add(GUARD, {
+			type: 'commandResult',
+			command: 'valveClose',
+			status: 'failed',
+			origin: 'system.adapter.admin.0',
+			error: 'HTTP 500: "internal"; retry',
+			ts: Date.parse('2026-10-19T08:00:00Z'),
+		});
+
+		const csv = await journal.toCsv(GUARD, { from: Date.parse('2026-10-10T00:00:00Z') });
+		expect(csv).to.equal(
+			'time,type,command,status,origin,text,error\r\n' +
+				'2026-10-19T08:00:00.000Z,commandResult,valveClose,failed,system.adapter.admin.0,,"HTTP 500: ""internal""; retry"\r\n',
+		);
+	});
+
+	it('records queued commands with their origin and outcome', async () => {
+		const adapter = createAdapterStub();
+		const api = {
+			async unsnooze() {
+				throw new Error('offline');
+			},
+		};
+		const commands = new GroheCommandQueue(adapter, /** @type {any} */ (api));
+
+		await commands.run(GUARD, 'unsnooze', 'sendTo', () => api.unsnooze());
+
+		expect(adapter.events.map(e => e.event)).to.deep.equal([
+			{ type: 'command', command: 'unsnooze', origin: 'sendTo', text: 'unsnooze requested' },
+			{
+				type: 'commandResult',
+				command: 'unsnooze',
+				status: 'failed',
+				origin: 'sendTo',
+				error: 'offline',
+				text: 'unsnooze failed',
+			},
+		]);
+	});
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheLogin = require('../lib/login');
+const GroheTokenManager = require('../lib/tokens');
+const { generateTotp } = require('../lib/otp');
+const MockGroheCloud = require('./lib/mockGroheCloud');
+const { createAdapterStub } = require('./lib/adapterStub');
+
+describe('GroheLogin against the mock cloud', function () {
+	this.timeout(10000);
+
+	const cloud = new MockGroheCloud();
+
+	before(() => cloud.start());
+	after(() => cloud.stop());
+	beforeEach(() => cloud.reset());
+
+	/**
+	 * @param {() => Promise<string>} [otp] - OTP provider
+	 * @returns {GroheLogin} login client pointed at the mock
+	 */
+	const createLogin = otp => new GroheLogin(createAdapterStub(), { baseUrl: cloud.baseUrl, otp });
+
+	it('returns the token pair after a successful login', async () => {
+		const tokens = await createLogin().login('user@example.com', 'secret');
+
+		expect(tokens.access_token).to.be.a('string');
+		expect(tokens.refresh_token).to.match(/^rt-/);
+		expect(cloud.accessTokens.has(tokens.access_token)).to.equal(true);
+		expect(cloud.count('/v3/iot/oidc/token')).to.equal(1);
+	});
+
+	it('rejects invalid credentials', async () => {
+		await createLogin()
+			.login('user@example.com', 'wrong')
+			.should.be.rejectedWith(/Invalid credentials/);
+	});
+
+	it('marks rejected logins so startup is not retried, unlike network errors', async () => {
+		const err = await createLogin()
+			.login('user@example.com', 'wrong')
+			.catch(e => e);
+		expect(err.code).to.equal('AUTH_FAILED');
+		expect(GroheTokenManager.isAuthError(err)).to.equal(true);
+
+		const offline = await new GroheLogin(createAdapterStub(), { baseUrl: 'http://127.0.0.1:1/v3/iot' })
+			.login('user@example.com', 'secret')
+			.catch(e => e);
+		expect(offline.code).to.equal('ECONNREFUSED');
+		expect(GroheTokenManager.isAuthError(offline)).to.equal(false);
+	});
+
+	it('refuses to continue when the account asks for a second factor', async () => {
+		cloud.scenario.mfa = true;
+		await createLogin().login('user@example.com', 'secret').should.be.rejectedWith(/MFA/);
+	});
+
+	it('submits the one-time code from the provider on the OTP page', async () => {
+		cloud.scenario.mfa = true;
+		let asked = 0;
+		const tokens = await createLogin(async () => {
+			asked++;
+			return '123 456';
+		}).login('user@example.com', 'secret');
+
+		expect(asked).to.equal(1);
+		expect(tokens.refresh_token).to.match(/^rt-/);
+		expect(cloud.count('/auth/realms/idm-apigw/login-actions/authenticate')).to.equal(2);
+	});
+
+	it('rejects a wrong one-time code', async () => {
+		cloud.scenario.mfa = true;
+		await createLogin(async () => '000000')
+			.login('user@example.com', 'secret')
+			.should.be.rejectedWith(/OTP code invalid/);
+	});
+
+	it('generates RFC 6238 TOTP codes', () => {
+		const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+		expect(generateTotp(secret, 59000, 8)).to.equal('94287082');
+		expect(generateTotp(secret, 1111111109000, 8)).to.equal('07081804');
+		expect(generateTotp(secret, 1111111109000)).to.equal('081804');
+	});
+
+	it('retries with a fresh session when the restart cookie is missing', async () => {
+		cloud.scenario.restartCookieFailures = 1;
+		const tokens = await createLogin().login('user@example.com', 'secret');
+
+		expect(tokens.refresh_token).to.match(/^rt-/);
+		expect(cloud.count('/auth/realms/idm-apigw/login-actions/authenticate')).to.equal(2);
+	});
+
+	it('gives up after three restart cookie failures', async () => {
+		cloud.scenario.restartCookieFailures = 3;
+		await createLogin()
+			.login('user@example.com', 'secret')
+			.should.be.rejectedWith(/RESTART_COOKIE_NOT_FOUND/);
+	});
+
+	it('falls back to POSTing the redirect URL when GET on it is refused', async () => {
+		cloud.scenario.tokenGet = false;
+		const tokens = await createLogin().login('user@example.com', 'secret');
+
+		expect(tokens.access_token).to.be.a('string');
+		const exchange = cloud.requests.filter(r => r.path === '/v3/iot/oidc/token').map(r => r.method);
+		expect(exchange).to.deep.equal(['GET', 'POST']);
+	});
+
+	it('exchanges an ondus:// redirect URL pasted from the browser', async () => {
+		const login = createLogin();
+		expect(login.loginUrl()).to.equal(`${cloud.baseUrl}/oidc/login`);
+
+		const tokens = await login.exchangeRedirectUrl(` ${cloud.ondusRedirect()} `);
+
+		expect(tokens.refresh_token).to.match(/^rt-/);
+		expect(cloud.count('/v3/iot/oidc/login')).to.equal(0);
+	});
+
+	it('rejects pasted URLs that are no usable ondus:// redirect', async () => {
+		const login = createLogin();
+		await login.exchangeRedirectUrl(`${cloud.baseUrl}/oidc/token?code=x`).should.be.rejectedWith(/ondus/);
+		await login
+			.exchangeRedirectUrl(cloud.ondusRedirect().replace(/&code=.*$/, ''))
+			.should.be.rejectedWith(/contains no code/);
+
+		const used = cloud.ondusRedirect();
+		await login.exchangeRedirectUrl(used);
+		await login.exchangeRedirectUrl(used).should.be.rejectedWith(/expired or already used/);
+	});
+
+	it('requires e-mail and password', async () => {
+		await createLogin()
+			.login('', '')
+			.should.be.rejectedWith(/email\/password/i);
+	});
+});
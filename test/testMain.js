@@ -0,0 +1,284 @@
+'use strict';
+
+const { expect } = require('chai');
+const { GUARD, SENSE } = require('./lib/adapterStub');
+const { createMainAdapter, addAccount } = require('./lib/mainAdapter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} kind - location, room or appliance
+ * @param {string} groheId - Grohe ID
+ * @param {Record<string, any>} [native] - more native properties
+ * @returns {Record<string, any>} object as created by the adapter
+ */
+function groheObject(kind, groheId, native) {
+	const type = { location: 'folder', room: 'folder', appliance: 'device' }[kind];
+	return { type, common: { name: groheId }, native: { kind, groheId, ...native } };
+}
+
+describe('Adapter', () => {
+	describe('cleanup of objects', () => {
+		/** @returns {Record<string, any>} objects of an installation with a user-created state and a second account */
+		function objects() {
+			return {
+				Home: groheObject('location', '1'),
+				'Home.Keller': groheObject('room', '10'),
+				'Home.Keller.Guard': groheObject('appliance', 'guard-1'),
+				'Home.Keller.Guard.valveOpen': { type: 'state', common: { name: 'Valve open' }, native: {} },
+				'Home.Keller.Sense': groheObject('appliance', 'sense-1'),
+				'Home.Keller.Old': groheObject('appliance', 'old-1', { missingSince: Date.now() - 2 * DAY_MS }),
+				'Home.Keller.myScriptState': { type: 'state', common: { name: 'Created by a script' }, native: {} },
+				'accounts.ops.Home': groheObject('location', '1', { account: 'ops' }),
+				'accounts.ops.Home.Keller.Boiler': groheObject('appliance', 'boiler-1', { account: 'ops' }),
+				myDevice: { type: 'device', common: { name: 'Created by the user' }, native: {} },
+				'guard-1': { type: 'device', common: { name: 'Guard of version 0.x' }, native: {} },
+			};
+		}
+
+		const seen = () => ({
+			location: new Set(['1']),
+			room: new Set(['10']),
+			appliance: new Set(['guard-1']),
+		});
+
+		it('deletes only appliances missing longer than the grace period and legacy devices', async () => {
+			const adapter = await createMainAdapter({ objects: objects(), config: { staleDeleteHours: 24 } });
+			const account = addAccount(adapter);
+			addAccount(adapter, 'ops');
+
+			await adapter.reconcileObjects(account, seen());
+
+			expect(adapter.deleted).to.deep.equal(['guard-1', 'Home.Keller.Old']);
+			expect(Object.keys(adapter.objects).map(id => adapter.cache.local(id))).to.include.members([
+				'Home',
+				'Home.Keller',
+				'Home.Keller.Guard',
+				'Home.Keller.Guard.valveOpen',
+				'Home.Keller.Sense',
+				'Home.Keller.myScriptState',
+				'accounts.ops.Home',
+				'accounts.ops.Home.Keller.Boiler',
+				'myDevice',
+			]);
+			expect(adapter.cache.getObject('Home.Keller.Sense').native.missingSince).to.be.a('number');
+			expect(account.idMap.has('appliance:old-1')).to.equal(false);
+		});
+
+		it('keeps missing appliances without a grace period and restores returning ones', async () => {
+			const adapter = await createMainAdapter({ objects: objects() });
+			const account = addAccount(adapter);
+
+			const all = seen();
+			all.appliance.add('old-1');
+			await adapter.reconcileObjects(account, all);
+			expect(adapter.deleted).to.deep.equal(['guard-1']);
+			expect(adapter.cache.getObject('Home.Keller.Old').native.missingSince).to.equal(null);
+
+			adapter.deleted.length = 0;
+			await adapter.reconcileObjects(account, seen());
+			expect(adapter.deleted).to.deep.equal([]);
+			expect(adapter.objects['grohe-smarthome.0.Home.Keller.Old']).to.not.equal(undefined);
+		});
+
+		it('cleans up only the objects of the account whose dashboard was read', async () => {
+			const adapter = await createMainAdapter({ objects: objects(), config: { staleDeleteHours: 1 } });
+			addAccount(adapter);
+			const ops = addAccount(adapter, 'ops');
+
+			await adapter.reconcileObjects(ops, { location: new Set(['1']), appliance: new Set(['boiler-1']) });
+
+			expect(adapter.deleted).to.deep.equal([]);
+			expect(adapter.cache.getObject('Home.Keller.Sense').native.missingSince).to.equal(undefined);
+		});
+	});
+
+	describe('object IDs', () => {
+		it('builds the location → room → appliance hierarchy from the names', async () => {
+			const adapter = await createMainAdapter();
+			const account = addAccount(adapter);
+
+			const home = adapter.objectIdFor(account, 'location', 1, '', 'Mein Zuhause');
+			const room = adapter.objectIdFor(account, 'room', 10, home, 'Keller');
+			const guard = adapter.objectIdFor(account, 'appliance', 'guard-1', room, 'Sense Guard');
+
+			expect([home, room, guard]).to.deep.equal([
+				'Mein_Zuhause',
+				'Mein_Zuhause.Keller',
+				'Mein_Zuhause.Keller.Sense_Guard',
+			]);
+			const ops = addAccount(adapter, 'ops');
+			expect(adapter.objectIdFor(ops, 'location', 1, ops.prefix, 'Mein Zuhause')).to.equal(
+				'accounts.ops.Mein_Zuhause',
+			);
+		});
+
+		it('replaces forbidden characters and dots, and falls back to the Grohe ID', async () => {
+			const adapter = await createMainAdapter();
+			const account = addAccount(adapter);
+
+			expect(adapter.objectIdFor(account, 'room', 11, 'Home', ' Bad*OG [v1.2] ')).to.equal('Home.Bad_OG__v1_2_');
+			expect(adapter.objectIdFor(account, 'room', 12, 'Home', 'Küche')).to.equal('Home.Küche');
+			expect(adapter.objectIdFor(account, 'room', 13, 'Home', '  ')).to.equal('Home.13');
+		});
+
+		it('numbers duplicate names and avoids the reserved IDs of an account', async () => {
+			const adapter = await createMainAdapter();
+			const account = addAccount(adapter);
+			const ops = addAccount(adapter, 'ops');
+
+			expect(adapter.objectIdFor(account, 'room', 10, 'Home', 'Bad')).to.equal('Home.Bad');
+			expect(adapter.objectIdFor(account, 'room', 11, 'Home', 'Bad')).to.equal('Home.Bad_2');
+			expect(adapter.objectIdFor(account, 'room', 12, 'Home', 'Bad')).to.equal('Home.Bad_3');
+			expect(adapter.objectIdFor(account, 'location', 2, '', 'Info')).to.equal('Info');
+			expect(adapter.objectIdFor(account, 'location', 3, '', 'info')).to.equal('info_2');
+			expect(adapter.objectIdFor(ops, 'location', 3, ops.prefix, 'alarms')).to.equal('accounts.ops.alarms_2');
+		});
+
+		it('keeps the ID of an item after a rename and a restart', async () => {
+			const adapter = await createMainAdapter({
+				objects: { 'Home.Keller.Guard': groheObject('appliance', 'guard-1') },
+			});
+			const account = addAccount(adapter);
+
+			expect(adapter.objectIdFor(account, 'appliance', 'guard-1', 'Home.Keller', 'Hauptventil')).to.equal(
+				'Home.Keller.Guard',
+			);
+			expect(adapter.objectIdFor(account, 'appliance', 'guard-2', 'Home.Keller', 'Guard')).to.equal(
+				'Home.Keller.Guard_2',
+			);
+		});
+	});
+
+	describe('sendTo commands', () => {
+		/** @type {import('../lib/appliances').ApplianceRef} */
+		const BLUE = {
+			applianceId: 'blue-1',
+			locationId: '1',
+			roomId: '11',
+			type: 'BLUE_HOME',
+			name: 'Blue',
+			objectId: 'Home.Kueche.Blue',
+		};
+
+		/**
+		 * @returns {Promise<{ adapter: any, commands: string[] }>} adapter with a connected main account, its
+		 * command queue records the commands that reached it
+		 */
+		async function connectedAdapter() {
+			const adapter = await createMainAdapter();
+			const account = addAccount(adapter);
+			for (const ref of [GUARD, SENSE, BLUE]) {
+				account.appliances.set(ref.applianceId, ref);
+			}
+			/** @type {string[]} */
+			const commands = [];
+			account.api = /** @type {any} */ ({
+				async snooze() {
+					return { snoozed_until: '2026-10-19T10:30:00Z' };
+				},
+			});
+			account.commands = /** @type {any} */ ({
+				async run(ref, command, origin, fn) {
+					commands.push(command);
+					return { status: 'confirmed', result: await fn() };
+				},
+				async dispense(ref, type, amountMl) {
+					commands.push(`dispense ${type}/${amountMl}`);
+					return { status: 'confirmed' };
+				},
+			});
+			return { adapter, commands };
+		}
+
+		/**
+		 * @param {any} adapter - adapter from connectedAdapter
+		 * @param {string} command - sendTo command
+		 * @param {Record<string, any>} message - payload
+		 * @returns {Promise<any>} reply sent to the caller
+		 */
+		async function send(adapter, command, message) {
+			await adapter.onMessage({ command, message, from: 'system.adapter.javascript.0', callback: { id: 1 } });
+			return adapter.replies.pop().response;
+		}
+
+		it('replies with the result of a valid command', async () => {
+			const { adapter, commands } = await connectedAdapter();
+
+			expect(await send(adapter, 'snooze', { id: 'Guard', minutes: 30 })).to.deep.equal({
+				success: true,
+				result: {
+					applianceId: 'guard-1',
+					status: 'confirmed',
+					result: { snoozed_until: '2026-10-19T10:30:00Z' },
+				},
+			});
+			expect(await send(adapter, 'dispense', { id: 'blue-1', type: '3', amountMl: 500 })).to.deep.equal({
+				success: true,
+				result: { applianceId: 'blue-1', status: 'confirmed', type: 3, amountMl: 500 },
+			});
+			expect(commands).to.deep.equal(['snooze', 'dispense 3/500']);
+			expect(adapter.states['grohe-smarthome.0.Home.Keller.Guard.snoozedUntil'].val).to.equal(
+				Date.parse('2026-10-19T10:30:00Z'),
+			);
+		});
+
+		it('rejects invalid arguments with an error reply before anything is sent to the cloud', async () => {
+			const { adapter, commands } = await connectedAdapter();
+
+			const errors = [
+				await send(adapter, 'snooze', { minutes: 30 }),
+				await send(adapter, 'snooze', { id: 'guard-9' }),
+				await send(adapter, 'snooze', { id: 'Sense' }),
+				await send(adapter, 'snooze', { id: 'Guard', minutes: 0 }),
+				await send(adapter, 'snooze', { id: 'Guard', minutes: 1441 }),
+				await send(adapter, 'snooze', { id: 'Guard', minutes: 'soon' }),
+				await send(adapter, 'dispense', { id: 'Blue', type: 9 }),
+				await send(adapter, 'dispense', { id: 'Blue', amountMl: -5 }),
+				await send(adapter, 'getHistory', { id: 'Guard', groupBy: 'minute' }),
+				await send(adapter, 'openTheGate', {}),
+			];
+
+			expect(errors).to.deep.equal(
+				[
+					'id missing',
+					'Appliance not found: guard-9',
+					'Command not supported for SENSE',
+					'minutes must be between 1 and 1440',
+					'minutes must be between 1 and 1440',
+					'minutes must be between 1 and 1440',
+					'type 9 invalid, allowed: 1 (still), 2 (medium), 3 (sparkling)',
+					'type/amountMl invalid',
+					'groupBy invalid: minute',
+					'Unknown command: openTheGate',
+				].map(error => ({ success: false, error })),
+			);
+			expect(commands).to.deep.equal([]);
+			expect(adapter.logs.warn[0]).to.equal('sendTo snooze failed: id missing');
+		});
+
+		it('refuses commands for locked controls and without a connection', async () => {
+			const { adapter } = await connectedAdapter();
+			adapter.applianceOptions.set('main:guard-1', { writeEnabled: false });
+			adapter.accounts.get('main').commands = null;
+
+			expect(await send(adapter, 'closeValve', { id: 'Guard' })).to.deep.equal({
+				success: false,
+				error: 'Guard: controls locked in the device configuration',
+			});
+			expect(await send(adapter, 'dispense', { id: 'Blue' })).to.deep.equal({
+				success: false,
+				error: 'Not connected',
+			});
+		});
+
+		it('does not reply without a callback', async () => {
+			const { adapter } = await connectedAdapter();
+
+			await adapter.onMessage({ command: 'snooze', message: {}, from: 'system.adapter.javascript.0' });
+
+			expect(adapter.replies).to.deep.equal([]);
+			expect(adapter.logs.warn).to.deep.equal(['sendTo snooze failed: id missing']);
+		});
+	});
+});
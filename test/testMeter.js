@@ -0,0 +1,153 @@
+'use strict';
+
+const { expect } = require('chai');
+const { GroheWaterMeter, localDate, periodKey } = require('../lib/meter');
+const { GUARD, createAdapterStub } = require('./lib/adapterStub');
+
+const BERLIN = { timezone: 'Europe/Berlin', currency: 'EUR' };
+const MONDAY = Date.parse('2026-10-19T10:00:00+02:00');
+
+describe('Water meter', () => {
+	it('uses the local date of the location for period boundaries', () => {
+		const lateUtc = Date.parse('2026-10-19T23:30:00Z');
+		expect(localDate(lateUtc, 'Europe/Berlin')).to.equal('2026-10-20');
+		expect(localDate(lateUtc, 'America/New_York')).to.equal('2026-10-19');
+		expect(periodKey('2026-10-25', 'week')).to.equal('2026-10-19');
+		expect(periodKey('2026-10-25', 'month')).to.equal('2026-10');
+	});
+
+	it('integrates the flow rate, resets today at local midnight and adds costs', async () => {
+		const adapter = createAdapterStub();
+		const meter = new GroheWaterMeter(adapter, /** @type {any} */ ({}), {
+			source: 'flow',
+			waterPrice: 2,
+			wastewaterPrice: 2.5,
+			baseFee: 365,
+		});
+		const flow = rate => ({ data_latest: { flow_rate: rate } });
+
+		await meter.update(GUARD, flow(600), BERLIN, MONDAY);
+		await meter.update(GUARD, flow(600), BERLIN, MONDAY + 10 * 60 * 1000);
+
+		const s = adapter.states;
+		expect(s['Home.Keller.Guard.meter.today']).to.equal(100);
+		expect(s['Home.Keller.Guard.meter.total']).to.equal(100);
+		// 0.1 m³ × 4.50 plus one day of the base fee
+		expect(s['Home.Keller.Guard.meter.costToday']).to.equal(1.45);
+		expect(s['Home.Keller.Guard.meter.costWeek']).to.equal(7.45);
+
+		// 00:30 in Berlin is still the previous day in UTC; the long gap is not integrated
+		await meter.update(GUARD, flow(0), BERLIN, Date.parse('2026-10-20T00:30:00+02:00'));
+		expect(s['Home.Keller.Guard.meter.today']).to.equal(0);
+		expect(s['Home.Keller.Guard.meter.yesterday']).to.equal(100);
+		expect(s['Home.Keller.Guard.meter.week']).to.equal(100);
+		expect(s['Home.Keller.Guard.meter.total']).to.equal(100);
+	});
+
+	it('fills the counters from the daily cloud totals and adds only what is new', async () => {
+		const adapter = createAdapterStub();
+		const withdrawals = [
+			{ date: '2026-01-05', waterconsumption: 50 },
+			{ date: '2026-10-01', waterconsumption: 20 },
+			{ date: '2026-10-18', waterconsumption: 10 },
+			{ date: '2026-10-19', waterconsumption: 5 },
+		];
+		/** @type {string[]} */
+		const calls = [];
+		const api = {
+			async getAggregated(ref, groupBy, from, to) {
+				calls.push(`${groupBy} ${from}..${to}`);
+				return { withdrawals };
+			},
+		};
+		const meter = new GroheWaterMeter(adapter, /** @type {any} */ (api));
+
+		await meter.update(GUARD, {}, BERLIN, MONDAY);
+		const s = adapter.states;
+		expect(s['Home.Keller.Guard.meter.total']).to.equal(85);
+		expect(s['Home.Keller.Guard.meter.year']).to.equal(85);
+		expect(s['Home.Keller.Guard.meter.month']).to.equal(35);
+		expect(s['Home.Keller.Guard.meter.week']).to.equal(5);
+		expect(s['Home.Keller.Guard.meter.yesterday']).to.equal(10);
+		expect(s['Home.Keller.Guard.meter.today']).to.equal(5);
+
+		// within the cloud interval nothing is fetched
+		await meter.update(GUARD, {}, BERLIN, MONDAY + 60 * 1000);
+		withdrawals[3].waterconsumption = 8;
+		await meter.update(GUARD, {}, BERLIN, MONDAY + 20 * 60 * 1000);
+
+		expect(calls).to.deep.equal(['day 2026-01-01..2026-10-19', 'day 2026-10-18..2026-10-19']);
+		expect(s['Home.Keller.Guard.meter.today']).to.equal(8);
+		expect(s['Home.Keller.Guard.meter.total']).to.equal(88);
+		expect(s['Home.Keller.Guard.meter.costToday']).to.equal(0);
+	});
+
+	it('catches up on the days the adapter was not running', async () => {
+		const adapter = createAdapterStub();
+		// last update on Friday evening, 4 of the 6 litres of that day were counted
+		Object.assign(adapter.states, {
+			'Home.Keller.Guard.meter.total': 100,
+			'Home.Keller.Guard.meter.today': 4,
+			'Home.Keller.Guard.meter.yesterday': 3,
+			'Home.Keller.Guard.meter.week': 20,
+			'Home.Keller.Guard.meter.month': 50,
+			'Home.Keller.Guard.meter.year': 80,
+			'Home.Keller.Guard.meter.lastUpdate': Date.parse('2026-10-16T20:00:00+02:00'),
+		});
+		/** @type {string[]} */
+		const calls = [];
+		const api = {
+			async getAggregated(ref, groupBy, from, to) {
+				calls.push(`${groupBy} ${from}..${to}`);
+				return {
+					withdrawals: [
+						{ date: '2026-10-15', waterconsumption: 3 },
+						{ date: '2026-10-16', waterconsumption: 6 },
+						{ date: '2026-10-17', waterconsumption: 7 },
+						{ date: '2026-10-18', waterconsumption: 9 },
+						{ date: '2026-10-19', waterconsumption: 2 },
+					],
+				};
+			},
+		};
+		const meter = new GroheWaterMeter(adapter, /** @type {any} */ (api));
+
+		await meter.update(GUARD, {}, BERLIN, MONDAY);
+
+		const s = adapter.states;
+		expect(calls).to.deep.equal(['day 2026-10-15..2026-10-19']);
+		expect(s['Home.Keller.Guard.meter.total']).to.equal(120);
+		expect(s['Home.Keller.Guard.meter.year']).to.equal(100);
+		expect(s['Home.Keller.Guard.meter.month']).to.equal(70);
+		expect(s['Home.Keller.Guard.meter.week']).to.equal(2);
+		expect(s['Home.Keller.Guard.meter.yesterday']).to.equal(9);
+		expect(s['Home.Keller.Guard.meter.today']).to.equal(2);
+	});
+
+	it('keeps the counters when the cloud totals cannot be read', async () => {
+		const adapter = createAdapterStub();
+		let offline = true;
+		const api = {
+			async getAggregated() {
+				if (offline) {
+					throw new Error('offline');
+				}
+				return { withdrawals: [{ date: '2026-10-18', waterconsumption: 9 }] };
+			},
+		};
+		const meter = new GroheWaterMeter(adapter, /** @type {any} */ (api));
+		meter.meters.set(GUARD.applianceId, {
+			counters: { total: 100, today: 8, yesterday: 3, week: 20, month: 50, year: 80 },
+			updated: Date.parse('2026-10-18T22:00:00+02:00'),
+			cloudAt: 0,
+			flow: null,
+		});
+
+		await meter.update(GUARD, {}, BERLIN, MONDAY).should.be.rejectedWith('offline');
+		offline = false;
+		await meter.update(GUARD, {}, BERLIN, MONDAY + 60 * 1000);
+
+		expect(adapter.states['Home.Keller.Guard.meter.yesterday']).to.equal(9);
+		expect(adapter.states['Home.Keller.Guard.meter.total']).to.equal(101);
+	});
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheNotifications = require('../lib/notifications');
+const { GUARD, createAdapterStub } = require('./lib/adapterStub');
+
+const NOW = Date.parse('2026-10-19T10:00:00+02:00');
+
+/**
+ * @param {any[]} notifications - notifications of the cloud, changed by mark read and delete
+ * @returns {any} API stub recording its calls
+ */
+function createNotificationApi(notifications) {
+	const api = {
+		calls: /** @type {string[]} */ ([]),
+		async getNotifications() {
+			api.calls.push('get');
+			return notifications;
+		},
+		async markNotificationRead(ref, id, category) {
+			api.calls.push(`read ${id}/${category}`);
+			notifications.find(n => n.id === id).is_read = true;
+		},
+		async deleteNotification(ref, id) {
+			api.calls.push(`delete ${id}`);
+			notifications.splice(
+				notifications.findIndex(n => n.id === id),
+				1,
+			);
+		},
+	};
+	return api;
+}
+
+/** @returns {any[]} a flooding alarm, an unknown warning and a firmware information */
+function notifications() {
+	return [
+		{ id: 'n1', category: 30, type: 0, timestamp: '2026-10-19T07:00:00Z' },
+		{ id: 'n2', category: 20, type: 999, notification_text: 'Something new', timestamp: '2026-10-19T06:00:00Z' },
+		{ id: 'n3', category: 10, type: 60, timestamp: '2026-10-19T05:00:00Z' },
+		{ id: 'n4', category: 20, type: 11, is_read: true, timestamp: '2026-10-18T05:00:00Z' },
+	];
+}
+
+describe('Notifications', () => {
+	it('maps codes to alarm groups and texts, only unread warnings and alarms count', async () => {
+		const adapter = createAdapterStub();
+		const alarms = new GroheNotifications(adapter, createNotificationApi([]));
+
+		await alarms.update(GUARD, notifications());
+
+		const s = adapter.states;
+		expect(s['Home.Keller.Guard.alarms.leak']).to.equal(true);
+		expect(s['Home.Keller.Guard.alarms.batteryLow']).to.equal(false);
+		expect(JSON.parse(s['Home.Keller.Guard.alarms.list']).map(n => [n.id, n.alarm, n.text])).to.deep.equal([
+			['n1', 'leak', 'Flooding detected'],
+			['n2', null, 'Something new'],
+			['n3', null, 'Firmware update available'],
+		]);
+		expect(s['Home.Keller.Guard.alarms.lastMessage']).to.equal('Flooding detected');
+		expect(s['alarms.count']).to.equal(2);
+		expect(adapter.logs.warn).to.deep.equal(['Guard: Flooding detected', 'Guard: Something new']);
+
+		// already known alarms are not reported again
+		await alarms.update(GUARD, notifications());
+		expect(adapter.logs.warn).to.have.length(2);
+	});
+
+	it('fetches missing notifications at most every 10 minutes', async () => {
+		const api = createNotificationApi(notifications());
+		const alarms = new GroheNotifications(createAdapterStub(), api);
+
+		await alarms.update(GUARD, undefined, NOW);
+		await alarms.update(GUARD, undefined, NOW + 5 * 60 * 1000);
+		await alarms.update(GUARD, undefined, NOW + 10 * 60 * 1000);
+
+		expect(api.calls).to.deep.equal(['get', 'get']);
+	});
+
+	it('acknowledges one notification and dismisses all in the cloud', async () => {
+		const adapter = createAdapterStub();
+		const api = createNotificationApi(notifications());
+		const alarms = new GroheNotifications(adapter, api);
+		await alarms.update(GUARD, undefined, NOW);
+
+		await alarms.acknowledge(GUARD, 'n1');
+		expect(adapter.states['Home.Keller.Guard.alarms.leak']).to.equal(false);
+		await alarms.acknowledge(GUARD, 'n9').should.be.rejectedWith('Notification n9 not found');
+
+		await alarms.dismiss(GUARD, 'all');
+		expect(api.calls).to.deep.equal(['get', 'read n1/30', 'get', 'delete n2', 'delete n3', 'get']);
+		expect(adapter.states['alarms.count']).to.equal(0);
+	});
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { expect } = require('chai');
+const { normalizeAppliance } = require('../lib/appliances');
+const { flattenRaw } = require('../lib/raw');
+const { FORBIDDEN_CHARS } = require('./lib/adapterStub');
+
+describe('Raw data', () => {
+	it('maps nested objects to folders and infers units only from matching keys', () => {
+		const entries = flattenRaw(
+			{
+				measurement: { pressure: 3.2, pressure_drop: 0.1, timestamp: '2026-10-19T08:00:00Z' },
+				withdrawals: [{ volume: 5 }],
+			},
+			FORBIDDEN_CHARS,
+		);
+		const byId = Object.fromEntries(entries.map(e => [e.id, e]));
+
+		expect(entries.map(e => e.id)).to.deep.equal([
+			'measurement',
+			'measurement.pressure',
+			'measurement.pressure_drop',
+			'measurement.timestamp',
+			'withdrawals',
+		]);
+		expect(byId.measurement.kind).to.equal('folder');
+		expect(byId['measurement.pressure'].common).to.include({ role: 'value.pressure', unit: 'bar' });
+		expect(byId['measurement.pressure_drop'].common).to.deep.equal({
+			name: 'pressure_drop',
+			type: 'number',
+			role: 'value',
+		});
+		expect(byId['measurement.timestamp'].val).to.equal(Date.parse('2026-10-19T08:00:00Z'));
+		expect(byId.withdrawals.common.role).to.equal('json');
+	});
+
+	it('mirrors data_latest as sent by the cloud, not the flattened device data', () => {
+		const app = { appliance_id: 'guard-1', type: 103, data_latest: { measurement: { flowrate: 2, pressure: 3 } } };
+		const dev = normalizeAppliance(app, { id: 1 }, { id: 10 });
+
+		expect(dev.data_latest).to.include({ flow_rate: 2, pressure: 3 });
+		expect(flattenRaw(dev.raw_data_latest, FORBIDDEN_CHARS).map(e => e.id)).to.deep.equal([
+			'measurement',
+			'measurement.flowrate',
+			'measurement.pressure',
+		]);
+	});
+});
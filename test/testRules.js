@@ -0,0 +1,103 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheLeakRules = require('../lib/rules');
+const { GUARD, createRulesAdapter } = require('./lib/adapterStub');
+
+const RULE = { name: 'Keller', sources: 'Sense, alias.0.floor.wet', guards: 'Guard', reopenAfterAck: true };
+
+describe('Leak rules', () => {
+	it('closes the valve when a source reports water, also with locked controls', async () => {
+		const adapter = createRulesAdapter({ 'alias.0.floor.wet': false });
+		adapter.locked = true;
+		const rules = new GroheLeakRules(adapter, [RULE]);
+		await rules.init();
+
+		await rules.evaluate();
+		expect(adapter.valveCalls).to.have.length(0);
+
+		adapter.states['Home.Keller.Sense.leakDetected'] = true;
+		await rules.evaluate();
+		await rules.evaluate();
+
+		expect(adapter.valveCalls).to.deep.equal([
+			{ applianceId: 'guard-1', open: false, origin: 'rule:Keller', ignoreLock: true },
+		]);
+		expect(adapter.states['rules.Keller.active']).to.equal(true);
+		expect(adapter.states['rules.Keller.reason']).to.equal('Sense');
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(true);
+	});
+
+	it('is acknowledged only without water and reopens respecting the lock', async () => {
+		const adapter = createRulesAdapter({ 'alias.0.floor.wet': false });
+		const rules = new GroheLeakRules(adapter, [RULE]);
+		await rules.init();
+
+		await rules.onForeignState('alias.0.floor.wet', { val: 'alarm', ack: true, ts: 0, lc: 0, from: 'x' });
+		expect(adapter.states['rules.Keller.reason']).to.equal('alias.0.floor.wet');
+		await rules.acknowledge('Keller').should.be.rejectedWith(/still reports water/);
+
+		await rules.onForeignState('alias.0.floor.wet', { val: false, ack: true, ts: 0, lc: 0, from: 'x' });
+		adapter.locked = true;
+		await rules.acknowledge('Keller');
+
+		expect(adapter.states['rules.Keller.active']).to.equal(false);
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(false);
+		expect(adapter.valveCalls.map(c => c.open)).to.deep.equal([false]);
+		expect(adapter.logs.error.join('\n')).to.match(/controls locked/);
+	});
+
+	it('retries a failed close, also after a restart', async () => {
+		const adapter = createRulesAdapter();
+		adapter.valveStatus = 'timeout';
+		adapter.states['Home.Keller.Sense.leakDetected'] = true;
+		const rules = new GroheLeakRules(adapter, [RULE]);
+		await rules.init();
+
+		await rules.evaluate();
+		await rules.evaluate();
+		expect(adapter.valveCalls).to.have.length(2);
+		expect(adapter.states['rules.Keller.active']).to.equal(true);
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(false);
+
+		adapter.valveStatus = 'confirmed';
+		const restarted = new GroheLeakRules(adapter, [RULE]);
+		await restarted.init();
+		await restarted.evaluate();
+		await restarted.evaluate();
+		expect(adapter.valveCalls).to.have.length(3);
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(true);
+	});
+
+	it('retries the rule while a guard is not known yet', async () => {
+		const adapter = createRulesAdapter();
+		adapter.states['Home.Keller.Sense.leakDetected'] = true;
+		const rules = new GroheLeakRules(adapter, [{ ...RULE, guards: 'Guard, Garage' }]);
+		await rules.init();
+
+		await rules.evaluate();
+		expect(adapter.valveCalls.map(c => c.applianceId)).to.deep.equal(['guard-1']);
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(false);
+		expect(adapter.logs.warn.join('\n')).to.match(/Sense Guard "Garage" not found/);
+
+		// the other account has been polled
+		const findAppliance = adapter.findAppliance;
+		adapter.findAppliance = key =>
+			key === 'Garage' ? { ...GUARD, applianceId: 'guard-2', name: 'Garage' } : findAppliance(key);
+		await rules.evaluate();
+		expect(adapter.valveCalls.map(c => c.applianceId)).to.deep.equal(['guard-1', 'guard-1', 'guard-2']);
+		expect(adapter.states['rules.Keller.valvesClosed']).to.equal(true);
+	});
+
+	it('warns once about a source that does not exist', async () => {
+		const adapter = createRulesAdapter();
+		const rules = new GroheLeakRules(adapter, [{ ...RULE, sources: 'alias.0.gone' }]);
+		await rules.init();
+
+		await rules.evaluate();
+		await rules.evaluate();
+
+		expect(adapter.logs.warn.filter(m => m.includes('alias.0.gone'))).to.have.length(1);
+		expect(adapter.valveCalls).to.have.length(0);
+	});
+});
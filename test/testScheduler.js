@@ -0,0 +1,88 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const GrohePollScheduler = require('../lib/scheduler');
+const { GUARD, SENSE, createAdapterStub } = require('./lib/adapterStub');
+
+describe('Poll scheduler', () => {
+	/** @type {sinon.SinonFakeTimers} */
+	let clock;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+	});
+
+	afterEach(() => {
+		clock.restore();
+	});
+
+	it('uses the idle interval of the type, with defaults and lower bounds', () => {
+		const scheduler = new GrohePollScheduler(createAdapterStub(), { active: 5, idle: { SENSE: 30 } });
+		expect(scheduler.activeMs).to.equal(15000);
+		expect(scheduler.idleMs).to.deep.equal({
+			SENSE: 60000,
+			SENSE_GUARD: 300000,
+			BLUE_HOME: 600000,
+			BLUE_PRO: 600000,
+		});
+
+		scheduler.polled(GUARD, false);
+		scheduler.polled(SENSE, false);
+		expect(scheduler.next.get('guard-1')).to.equal(300000);
+		expect(scheduler.next.get('sense-1')).to.equal(60000);
+
+		const defaults = new GrohePollScheduler(createAdapterStub());
+		expect(defaults.activeMs).to.equal(60000);
+		expect(defaults.idleMs.SENSE).to.equal(900000);
+	});
+
+	it('polls an appliance with the active interval while it is active', async () => {
+		const scheduler = new GrohePollScheduler(createAdapterStub(), { active: 20 });
+		/** @type {string[]} */
+		const polls = [];
+		scheduler.polled(GUARD, true);
+		scheduler.start(async id => {
+			polls.push(id);
+			scheduler.polled(GUARD, polls.length < 2);
+		});
+
+		await clock.tickAsync(20000);
+		expect(polls).to.deep.equal(['guard-1']);
+		await clock.tickAsync(20000);
+		expect(polls).to.deep.equal(['guard-1', 'guard-1']);
+
+		// back to the idle interval of 5 min
+		await clock.tickAsync(295000);
+		expect(polls).to.have.length(2);
+		await clock.tickAsync(5000);
+		expect(polls).to.have.length(3);
+		scheduler.stop();
+	});
+
+	it('retries a failing appliance with the active interval, not on every tick', async () => {
+		const adapter = createAdapterStub();
+		const scheduler = new GrohePollScheduler(adapter, { active: 30 });
+		let polls = 0;
+		scheduler.polled(SENSE, true);
+		scheduler.start(async () => {
+			polls++;
+			throw new Error('HTTP 503');
+		});
+
+		await clock.tickAsync(30000);
+		await clock.tickAsync(25000);
+		expect(polls).to.equal(1);
+		await clock.tickAsync(5000);
+		expect(polls).to.equal(2);
+		expect(adapter.logs.warn).to.deep.equal([
+			'Polling sense-1 failed: HTTP 503',
+			'Polling sense-1 failed: HTTP 503',
+		]);
+
+		scheduler.forget('sense-1');
+		await clock.tickAsync(60000);
+		expect(polls).to.equal(2);
+		scheduler.stop();
+	});
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { expect } = require('chai');
+const { SCHEMAS, schemaFor, fieldFor, commonFor, valueFor } = require('../lib/schema');
+
+/** Roles that fit the value type of a state */
+const ROLES = {
+	boolean: /^(indicator(\..+)?|switch|button)$/,
+	number: /^(value(\..+)?|level)$/,
+	string: /^(text|json)$/,
+};
+
+/**
+ * @param {string} type - appliance type
+ * @param {string} id - state ID relative to the device
+ * @returns {import('../lib/schema').FieldDef} field, fails the test if it does not exist
+ */
+function field(type, id) {
+	const def = fieldFor(type, id);
+	expect(def, `${type} ${id}`).to.not.equal(undefined);
+	return /** @type {import('../lib/schema').FieldDef} */ (def);
+}
+
+describe('Appliance schemas', () => {
+	it('gives every state a role that fits its type and unit', () => {
+		for (const [type, schema] of Object.entries(SCHEMAS)) {
+			for (const def of schema.fields) {
+				const where = `${type} ${def.id}`;
+				expect(def.role, where).to.match(ROLES[def.type]);
+				expect(!!def.write, where).to.equal(['level', 'switch', 'button'].includes(def.role));
+				if (def.role === 'value.time') {
+					expect(def.unit, where).to.equal(undefined);
+				}
+				if (def.unit === '%' && def.source) {
+					expect([def.min, def.max], where).to.deep.equal([0, 100]);
+				}
+			}
+		}
+	});
+
+	it('maps a field to the common of its object', () => {
+		expect(commonFor(field('SENSE_GUARD', 'pressure'))).to.deep.equal({
+			name: 'Pressure',
+			type: 'number',
+			role: 'value.pressure',
+			unit: 'bar',
+			min: 0,
+			read: true,
+			write: false,
+		});
+		expect(commonFor(field('BLUE_HOME', 'controls.dispenseType'))).to.deep.equal({
+			name: 'Dispense type',
+			type: 'number',
+			role: 'level',
+			states: { 1: 'still', 2: 'medium', 3: 'sparkling' },
+			def: 1,
+			read: true,
+			write: true,
+		});
+		expect(fieldFor('SENSE', 'controls.valveOpen')).to.equal(undefined);
+		expect(schemaFor('TOASTER')).to.equal(undefined);
+	});
+
+	it('converts reported values to the type of the state', () => {
+		const dev = {
+			data_latest: {
+				temperature: '21.5',
+				humidity: 'n/a',
+				leak_detected: 0,
+				date_of_filter_replacement: '2026-10-01T08:00:00Z',
+			},
+			config: { co2_type: 2 },
+		};
+
+		expect(valueFor(field('SENSE', 'temperature'), dev)).to.equal(21.5);
+		expect(valueFor(field('SENSE', 'humidity'), dev)).to.equal(undefined);
+		expect(valueFor(field('SENSE', 'leakDetected'), dev)).to.equal(false);
+		expect(valueFor(field('SENSE', 'battery'), dev)).to.equal(undefined);
+		expect(valueFor(field('SENSE', 'battery'), {})).to.equal(undefined);
+		expect(valueFor(field('BLUE_HOME', 'co2Capacity'), dev)).to.equal(2000);
+		expect(valueFor(field('BLUE_HOME', 'maintenance.lastFilterChange'), dev)).to.equal(
+			Date.parse('2026-10-01T08:00:00Z'),
+		);
+		expect(valueFor(field('BLUE_HOME', 'maintenance.lastCo2Change'), dev)).to.equal(0);
+		expect(valueFor(field('BLUE_HOME', 'controls.dispenseType'), dev)).to.equal(undefined);
+	});
+
+	it('shows a snooze only while it is active', () => {
+		const snoozed = field('SENSE_GUARD', 'snoozedUntil');
+		const later = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+
+		expect(valueFor(snoozed, { snoozed_until: later, snooze_status: 'ACTIVE' })).to.equal(Date.parse(later));
+		expect(valueFor(snoozed, { snoozed_until: later, snooze_status: 'NON_ACTIVE' })).to.equal(0);
+		expect(valueFor(snoozed, { snoozed_until: '2026-01-01T00:00:00Z', snooze_status: 'ACTIVE' })).to.equal(0);
+		expect(valueFor(snoozed, {})).to.equal(undefined);
+	});
+});
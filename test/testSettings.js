@@ -0,0 +1,67 @@
+'use strict';
+
+const { expect } = require('chai');
+const GroheSettings = require('../lib/settings');
+const { SENSE, createAdapterStub, createSettingsApi } = require('./lib/adapterStub');
+
+describe('Appliance settings', () => {
+	it('switches the min and the max threshold of a limit pair', async () => {
+		const adapter = createAdapterStub();
+		const { api, saved } = createSettingsApi();
+		const settings = new GroheSettings(adapter, api);
+
+		await settings.write(SENSE, 'grohe-smarthome.0.Home.Keller.Sense.settings.temperatureAlarm', false);
+
+		expect(saved[0].thresholds.map(t => t.enabled)).to.deep.equal([false, false, true, true]);
+		expect(adapter.states['Home.Keller.Sense.settings.temperatureAlarm']).to.equal(false);
+	});
+
+	it('writes a value into the matching array entry', async () => {
+		const adapter = createAdapterStub();
+		const { api, saved } = createSettingsApi();
+		const settings = new GroheSettings(adapter, api);
+
+		await settings.write(SENSE, 'Home.Keller.Sense.settings.humidityMax', '65');
+
+		expect(saved[0].thresholds[3]).to.deep.equal({ quantity: 'humidity', type: 'max', value: 65, enabled: true });
+		expect(saved[0].thresholds[2].value).to.equal(30);
+	});
+
+	it('rejects invalid values without calling the cloud', async () => {
+		const adapter = createAdapterStub();
+		const { api, saved } = createSettingsApi();
+		const settings = new GroheSettings(adapter, api);
+
+		await settings.write(SENSE, 'Home.Keller.Sense.settings.temperatureMax', 60);
+		await settings.write(SENSE, 'Home.Keller.Sense.settings.maxFlowRate', 100);
+
+		expect(saved).to.have.length(0);
+		expect(adapter.logs.error[0]).to.match(/allowed -10 … 45/);
+		expect(adapter.logs.error[1]).to.match(/not supported for SENSE/);
+	});
+
+	it('recognizes only the settings of the appliance itself', () => {
+		expect(GroheSettings.isSetting('Home.Keller.Sense.settings.humidityMax', SENSE)).to.equal(true);
+		expect(GroheSettings.isSetting('Home.Keller.Sense.raw.settings.humidity', SENSE)).to.equal(false);
+		expect(GroheSettings.isSetting('Home.Keller.Sense.settings.x.y', SENSE)).to.equal(false);
+		expect(GroheSettings.isSetting('Home.Keller.Guard.settings.maxFlowRate', SENSE)).to.equal(false);
+	});
+
+	it('validates numbers, value lists, booleans and times', () => {
+		const settings = new GroheSettings(createAdapterStub(), /** @type {any} */ ({}));
+		const number = { id: 'n', path: 'n', name: 'N', type: 'number', min: 0, max: 10 };
+		const list = { id: 'l', path: 'l', name: 'L', type: 'number', states: { 1: 'S', 2: 'M' } };
+		const time = { id: 't', path: 'quiet_time.start', name: 'T', type: 'string' };
+		const bool = { id: 'b', path: 'b', name: 'B', type: 'boolean' };
+
+		expect(settings.validate(/** @type {any} */ (number), '7')).to.equal(7);
+		expect(() => settings.validate(/** @type {any} */ (number), 'x')).to.throw(/number expected/);
+		expect(() => settings.validate(/** @type {any} */ (number), 11)).to.throw(/allowed/);
+		expect(settings.validate(/** @type {any} */ (list), 2)).to.equal(2);
+		expect(() => settings.validate(/** @type {any} */ (list), 3)).to.throw(/allowed 1, 2/);
+		expect(settings.validate(/** @type {any} */ (time), ' 22:30 ')).to.equal('22:30');
+		expect(() => settings.validate(/** @type {any} */ (time), '24:00')).to.throw(/HH:MM/);
+		expect(settings.validate(/** @type {any} */ (bool), 'true')).to.equal(true);
+		expect(settings.validate(/** @type {any} */ (bool), 0)).to.equal(false);
+	});
+});